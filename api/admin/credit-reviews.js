@@ -0,0 +1,22 @@
+const { requireAdmin } = require('../../lib/api-guard');
+const { listCreditReviews } = require('../../lib/credits');
+
+// Vercel API endpoint for operators: refunded or disputed credit packs whose credits were
+// already spent and could not be taken back automatically (Authorization: Bearer ADMIN_API_TOKEN)
+// GET /api/admin/credit-reviews - every recorded review, oldest first
+export default async function handler(req, res) {
+    if (!requireAdmin(req, res)) {
+        return;
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        res.status(200).json({ reviews: await listCreditReviews() });
+    } catch (error) {
+        console.error('❌ Credit reviews endpoint error:', error);
+        res.status(500).json({ error: 'Failed to list credit reviews' });
+    }
+}
@@ -0,0 +1,36 @@
+const { requireAdmin } = require('../../lib/api-guard');
+const { reconcileSessions } = require('../../lib/reconciliation');
+
+// Vercel API endpoint for operators: paid sessions that never produced a run (Authorization: Bearer ADMIN_API_TOKEN)
+// GET  /api/admin/reconcile?since=...&until=...                 - report orphaned sessions
+// POST /api/admin/reconcile { since, until, trigger: true }     - report and start the missing runs
+// since/until are ISO dates; the default window is the last 24 hours
+export default async function handler(req, res) {
+    if (!requireAdmin(req, res)) {
+        return;
+    }
+
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const params = req.method === 'GET' ? req.query : (req.body || {});
+    const since = params.since ? new Date(params.since) : null;
+    const until = params.until ? new Date(params.until) : new Date();
+
+    if ((since && isNaN(since)) || isNaN(until)) {
+        return res.status(400).json({ error: 'since and until must be ISO dates' });
+    }
+
+    try {
+        const report = await reconcileSessions({
+            since,
+            until,
+            trigger: req.method === 'POST' && params.trigger === true
+        });
+        res.status(200).json(report);
+    } catch (error) {
+        console.error('❌ Reconciliation error:', error);
+        res.status(500).json({ error: 'Reconciliation failed: ' + error.message });
+    }
+}
@@ -0,0 +1,59 @@
+const { requireAdmin } = require('../../lib/api-guard');
+const { JOB_STATUS, listJobs, processDueJobs, redriveOrder } = require('../../lib/trigger-queue');
+
+// Vercel API endpoint for operators: failed scraper triggers (Authorization: Bearer ADMIN_API_TOKEN)
+// GET  /api/admin/trigger-jobs                      - pending, in-flight and dead-lettered jobs
+// POST /api/admin/trigger-jobs { sessionId }        - re-drive one order now
+// POST /api/admin/trigger-jobs { action: 'process' } - retry every job that is due
+// GET  /api/admin/trigger-jobs?action=process       - the same, run every few minutes by the
+//                                                      Vercel cron in vercel.json (Bearer CRON_SECRET)
+export default async function handler(req, res) {
+    if (!requireAdmin(req, res, { allowCron: true })) {
+        return;
+    }
+
+    try {
+        if (req.method === 'GET' && req.query?.action === 'process') {
+            const summary = await processDueJobs();
+            console.log(`⏰ Processed due trigger jobs: ${summary.started} started, ${summary.failed} failed`);
+            return res.status(200).json(summary);
+        }
+
+        if (req.method === 'GET') {
+            return res.status(200).json({
+                pending: await listJobs(JOB_STATUS.PENDING),
+                inFlight: await listJobs(JOB_STATUS.IN_FLIGHT),
+                dead: await listJobs(JOB_STATUS.DEAD)
+            });
+        }
+
+        if (req.method !== 'POST') {
+            return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        const { sessionId, action } = req.body || {};
+
+        if (action === 'process') {
+            return res.status(200).json(await processDueJobs());
+        }
+
+        if (!sessionId) {
+            return res.status(400).json({ error: 'Please provide a sessionId or action' });
+        }
+
+        try {
+            const runId = await redriveOrder(sessionId);
+            console.log(`🔧 Operator re-drive of ${sessionId}: ${runId ? `run ${runId}` : 'not started'}`);
+            res.status(runId ? 200 : 502).json({
+                sessionId: sessionId,
+                runId: runId,
+                started: !!runId
+            });
+        } catch (redriveError) {
+            res.status(409).json({ error: redriveError.message });
+        }
+    } catch (error) {
+        console.error('❌ Trigger jobs endpoint error:', error);
+        res.status(500).json({ error: 'Failed to process trigger jobs' });
+    }
+}
@@ -1,15 +1,13 @@
-// Vercel API endpoint to serve configuration
-export default function handler(req, res) {
+const { guardRequest } = require('../lib/api-guard');
+const { getPublicConfig } = require('../lib/config');
+
+// Vercel API endpoint to serve the public client configuration.
+// Secrets (APIFY_TOKEN, EMAIL_WEBHOOK_URL, ...) stay server-side - see lib/config.js
+export default async function handler(req, res) {
     console.log('🔧 Config API called:', req.method, req.url);
     
-    // Set CORS headers
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-    
-    // Handle preflight requests
-    if (req.method === 'OPTIONS') {
-        res.status(200).end();
+    // CORS, origin allowlist and rate limit (also answers preflight requests)
+    if (!(await guardRequest(req, res, { name: 'config', methods: ['GET'], limit: 30 }))) {
         return;
     }
     
@@ -22,24 +20,7 @@ export default function handler(req, res) {
                 hasEmailWebhookUrl: !!process.env.EMAIL_WEBHOOK_URL
             });
             
-            const config = {
-                APIFY_TOKEN: process.env.APIFY_TOKEN || '',
-                APOLLO_ACTOR_ID: process.env.APOLLO_ACTOR_ID || 'code_crafter/apollo-io-scraper',
-                EMAIL_WEBHOOK_URL: process.env.EMAIL_WEBHOOK_URL || '',
-                DEFAULT_SETTINGS: {
-                    maxLeads: 50000,
-                    defaultLeads: 100,
-                    timeout: 3600000
-                },
-                API: {
-                    baseUrl: 'https://api.apify.com/v2',
-                    timeout: 30000
-                },
-                SECURITY: {
-                    allowedOrigins: ['*'],
-                    rateLimitPerMinute: 10
-                }
-            };
+            const config = getPublicConfig();
             
             console.log('✅ Config API responding successfully');
             res.status(200).json(config);
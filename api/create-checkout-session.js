@@ -1,64 +1,72 @@
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-const fs = require('fs');
-const path = require('path');
+const { createOrder } = require('../lib/order-repository');
+const { priceOrder, reservePromotion, releasePromotion } = require('../lib/promotions');
+const { parseApolloUrl, summarizeFilters, ApolloUrlError } = require('../lib/apollo-url');
+const { BILLING_INTERVALS } = require('../lib/subscriptions');
+const { guardRequest } = require('../lib/api-guard');
+const { signOrder } = require('../lib/order-digest');
+const { parseQualityFilter } = require('../lib/lead-quality');
 
-// Simple temporary storage for Apollo URLs
-// In production, you'd want to use Redis or a database
-const TEMP_DIR = '/tmp/apollo-urls';
-
-function ensureTempDir() {
-    if (!fs.existsSync(TEMP_DIR)) {
-        fs.mkdirSync(TEMP_DIR, { recursive: true });
+export default async function handler(req, res) {
+    if (!(await guardRequest(req, res, { name: 'create-checkout-session', methods: ['POST'], getEmail: req => req.body?.email }))) {
+        return;
     }
-}
-
-function storeApolloUrl(sessionId, fullUrl, email, leads, cleanOutput) {
-    ensureTempDir();
-    const data = {
-        apolloUrl: fullUrl,
-        email: email,
-        leads: leads,
-        cleanOutput: cleanOutput,
-        timestamp: new Date().toISOString()
-    };
-    const filePath = path.join(TEMP_DIR, `${sessionId}.json`);
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
-    console.log(`Stored full Apollo URL for session ${sessionId}`);
-}
 
-export default async function handler(req, res) {
     // Only allow POST requests
     if (req.method !== 'POST') {
         return res.status(405).json({ error: 'Method not allowed' });
     }
 
     try {
-        const { leads, apolloUrl, email, cleanOutput } = req.body;
+        const { leads, email, cleanOutput, promoCode, dedupe } = req.body;
+        const qualityFilter = parseQualityFilter({ emailStatuses: req.body.emailStatuses, minScore: req.body.minScore });
+        const billingInterval = req.body.billingInterval || 'once';
 
         // Validation
-        if (!leads || typeof leads !== 'number' || leads < 500) {
-            return res.status(400).json({ error: 'Minimum order is 500 leads ($2.50)' });
+        if (!leads || typeof leads !== 'number') {
+            return res.status(400).json({ error: 'Please provide the number of leads to scrape' });
         }
 
-        if (!apolloUrl || !apolloUrl.includes('apollo.io')) {
-            return res.status(400).json({ error: 'Please provide a valid Apollo.io search URL' });
+        // Reject truncated or non-people URLs before the customer pays
+        let apolloUrl;
+        let searchSummary;
+        try {
+            const parsedUrl = parseApolloUrl(req.body.apolloUrl);
+            apolloUrl = parsedUrl.url;
+            searchSummary = summarizeFilters(parsedUrl.filters);
+        } catch (urlError) {
+            if (urlError instanceof ApolloUrlError) {
+                return res.status(400).json({ error: urlError.message, code: urlError.code });
+            }
+            throw urlError;
         }
 
         if (!email || !email.includes('@')) {
             return res.status(400).json({ error: 'Please provide a valid email address' });
         }
 
-        // Calculate amount in cents
-        const amount = Math.round(leads * 0.005 * 100); // Convert to cents
-        
-        // Ensure minimum $2.50
-        if (amount < 250) {
-            return res.status(400).json({ error: 'Minimum order amount is $2.50' });
+        const isSubscription = billingInterval !== 'once';
+        if (isSubscription && !BILLING_INTERVALS.includes(billingInterval)) {
+            return res.status(400).json({ error: 'Billing interval must be once, week or month' });
         }
 
-        // Ensure maximum reasonable amount
-        if (amount > 25000) { // $250 max (50,000 leads)
-            return res.status(400).json({ error: 'Maximum order is 50,000 leads ($250)' });
+        if (isSubscription && promoCode) {
+            return res.status(400).json({ error: 'Promo codes can only be used on one-time orders' });
+        }
+
+        // Price the order server-side (tiers, minimums, maximums and promo code)
+        let pricedOrder;
+        try {
+            pricedOrder = await priceOrder(leads, promoCode);
+        } catch (pricingError) {
+            return res.status(400).json({ error: pricingError.message });
+        }
+
+        const { quote: priceQuote, promotion, amount } = pricedOrder;
+        const bonusLeads = promotion ? promotion.bonusLeads : 0;
+
+        if (promotion) {
+            console.log(`Promo code ${promotion.code} applied: -$${(promotion.discountAmount/100).toFixed(2)}, +${bonusLeads} bonus leads`);
         }
 
         console.log(`Creating checkout session for ${leads} leads ($${(amount/100).toFixed(2)}) for ${email}`);
@@ -93,16 +101,43 @@ export default async function handler(req, res) {
 
         // Create metadata object with URL chunks
         const metadata = {
+            service: 'apollo-scraper',
             leads: leads.toString(),
             apolloUrl: truncatedUrl,
             email: email,
             cleanOutput: cleanOutput ? 'true' : 'false',
+            dedupe: dedupe ? 'true' : 'false',
+            emailStatuses: qualityFilter ? qualityFilter.emailStatuses.join(',') : '',
+            minScore: qualityFilter ? qualityFilter.minScore.toString() : '0',
             timestamp: new Date().toISOString(),
             orderId: orderId,
             fullUrlLength: apolloUrl.length.toString(),
-            urlChunkCount: urlChunks.length.toString()
+            urlChunkCount: urlChunks.length.toString(),
+            amount: amount.toString(),
+            billingInterval: billingInterval,
+            searchSummary: searchSummary.length > 450 ? searchSummary.substring(0, 450) + '...' : searchSummary
         };
 
+        if (promotion) {
+            metadata.promoCode = promotion.code;
+            metadata.originalAmount = promotion.originalAmount.toString();
+            metadata.discountAmount = promotion.discountAmount.toString();
+            metadata.bonusLeads = bonusLeads.toString();
+        }
+
+        // The webhook checks this before scraping, so the priced order cannot be altered on the way
+        const orderDigest = signOrder({
+            apolloUrl: apolloUrl,
+            leads: leads,
+            amount: amount,
+            email: email,
+            bonusLeads: bonusLeads,
+            discountAmount: promotion ? promotion.discountAmount : 0
+        });
+        if (orderDigest) {
+            metadata.orderDigest = orderDigest;
+        }
+
         // Add URL chunks as separate metadata fields
         urlChunks.forEach((chunk, index) => {
             metadata[`urlChunk${index}`] = chunk;
@@ -110,32 +145,65 @@ export default async function handler(req, res) {
 
         console.log(`Metadata fields: ${Object.keys(metadata).length}`);
 
+        let description = `${leads.toLocaleString()} leads: ${searchSummary} (avg $${priceQuote.effectiveRate.toFixed(4)} per lead)`;
+        if (promotion) {
+            description += ` - promo ${promotion.code} applied`;
+            if (promotion.discountAmount > 0) {
+                description += `, ${priceQuote.formattedAmount} reduced to ${promotion.formattedAmount}`;
+            }
+            if (bonusLeads > 0) {
+                description += `, +${bonusLeads.toLocaleString()} bonus leads`;
+            }
+        }
+
+        const priceData = {
+            currency: priceQuote.currency,
+            product_data: {
+                name: isSubscription ? `Apollo Scraper Leads (${billingInterval}ly)` : 'Apollo Scraper Leads',
+                description: description,
+                images: [], // You can add your logo URL here if you have one
+            },
+            unit_amount: amount,
+        };
+
+        // Subscriptions re-run the same search every cycle; invoice.paid triggers each run
+        const modeParams = isSubscription ? {
+            mode: 'subscription',
+            subscription_data: {
+                metadata: metadata
+            }
+        } : {
+            mode: 'payment',
+            payment_intent_data: {
+                metadata: metadata
+            }
+        };
+
+        if (isSubscription) {
+            priceData.recurring = { interval: billingInterval };
+        }
+
+        // Hold a use of a limited promo code until the session is paid or expires
+        if (promotion) {
+            try {
+                await reservePromotion(promotion.code, orderId);
+            } catch (reserveError) {
+                return res.status(400).json({ error: reserveError.message });
+            }
+        }
+
         // Create Stripe checkout session
         const session = await stripe.checkout.sessions.create({
             payment_method_types: ['card'],
             line_items: [{
-                price_data: {
-                    currency: 'usd',
-                    product_data: {
-                        name: 'Apollo Scraper Leads',
-                        description: `Purchase of ${leads.toLocaleString()} leads at $0.005 per lead`,
-                        images: [], // You can add your logo URL here if you have one
-                    },
-                    unit_amount: amount,
-                },
+                price_data: priceData,
                 quantity: 1,
             }],
-            mode: 'payment',
+            ...modeParams,
             success_url: `${baseUrl}/lead-scraper/payment-success?session_id={CHECKOUT_SESSION_ID}`,
             cancel_url: `${baseUrl}/lead-scraper/payment-cancelled`,
             customer_email: email,
             metadata: metadata,
-            payment_intent_data: {
-                metadata: {
-                    ...metadata,
-                    service: 'apollo-scraper'
-                }
-            },
             billing_address_collection: 'auto',
             phone_number_collection: {
                 enabled: true,
@@ -145,12 +213,33 @@ export default async function handler(req, res) {
                     message: 'Your leads will be processed and delivered to your email address within minutes after payment.'
                 }
             }
+        }).catch(async sessionError => {
+            if (promotion) {
+                await releasePromotion(promotion.code, orderId);
+            }
+            throw sessionError;
         });
 
         console.log(`Checkout session created: ${session.id}`);
 
-        // Store the full Apollo URL
-        storeApolloUrl(session.id, apolloUrl, email, leads, cleanOutput);
+        // Record the order with the full Apollo URL
+        await createOrder(session.id, {
+            orderId: orderId,
+            apolloUrl: apolloUrl,
+            searchSummary: searchSummary,
+            email: email,
+            leads: leads,
+            cleanOutput: !!cleanOutput,
+            dedupe: !!dedupe,
+            qualityFilter: qualityFilter,
+            amount: amount,
+            promoCode: promotion ? promotion.code : null,
+            discountAmount: promotion ? promotion.discountAmount : 0,
+            bonusLeads: bonusLeads,
+            billingInterval: billingInterval,
+            baseUrl: baseUrl,
+            orderDigest: orderDigest
+        });
 
         // Return the checkout URL
         res.status(200).json({
@@ -0,0 +1,112 @@
+const { createOrder, markOrderFailed } = require('../lib/order-repository');
+const { debitCredits, refundCredits, getBalance, verifyWalletKey } = require('../lib/credits');
+const { quote } = require('../lib/pricing');
+const { parseApolloUrl, summarizeFilters, ApolloUrlError } = require('../lib/apollo-url');
+const { fulfillOrder } = require('../lib/fulfillment');
+const { guardRequest } = require('../lib/api-guard');
+const { parseQualityFilter } = require('../lib/lead-quality');
+
+// Vercel API endpoint: place an order paid from the lead-credit wallet instead of Stripe Checkout
+export default async function handler(req, res) {
+    if (!(await guardRequest(req, res, { name: 'create-credit-order', methods: ['POST'], getEmail: req => req.body?.email }))) {
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        const { leads, email, walletKey, cleanOutput, dedupe } = req.body;
+
+        if (!leads || typeof leads !== 'number') {
+            return res.status(400).json({ error: 'Please provide the number of leads to scrape' });
+        }
+
+        if (!email || !email.includes('@')) {
+            return res.status(400).json({ error: 'Please provide a valid email address' });
+        }
+
+        if (!verifyWalletKey(email, walletKey)) {
+            return res.status(403).json({ error: 'Invalid wallet key' });
+        }
+
+        let apolloUrl;
+        let searchSummary;
+        try {
+            const parsedUrl = parseApolloUrl(req.body.apolloUrl);
+            apolloUrl = parsedUrl.url;
+            searchSummary = summarizeFilters(parsedUrl.filters);
+        } catch (urlError) {
+            if (urlError instanceof ApolloUrlError) {
+                return res.status(400).json({ error: urlError.message, code: urlError.code });
+            }
+            throw urlError;
+        }
+
+        // Same order size limits as card orders
+        try {
+            quote(leads);
+        } catch (pricingError) {
+            return res.status(400).json({ error: pricingError.message });
+        }
+
+        const orderId = `credit_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+        // Debit before recording the order, so a failed debit leaves nothing behind
+        try {
+            await debitCredits(email, leads, orderId, { searchSummary });
+        } catch (debitError) {
+            return res.status(402).json({ error: debitError.message });
+        }
+
+        let order;
+        try {
+            order = await createOrder(orderId, {
+                orderId: orderId,
+                apolloUrl: apolloUrl,
+                searchSummary: searchSummary,
+                email: email,
+                leads: leads,
+                cleanOutput: !!cleanOutput,
+                dedupe: !!dedupe,
+                qualityFilter: parseQualityFilter({ emailStatuses: req.body.emailStatuses, minScore: req.body.minScore }),
+                amount: 0,
+                paymentMethod: 'credits',
+                creditsUsed: leads
+            });
+        } catch (orderError) {
+            await refundCredits(email, leads, orderId, { reason: 'Order could not be recorded' });
+            throw orderError;
+        }
+
+        let runId = null;
+        try {
+            runId = await fulfillOrder(orderId, order, 0, { source: 'credits' });
+        } catch (fulfillError) {
+            // Credit orders are not queued for retry - the customer gets their credits back instead
+            console.error(`❌ Credit order ${orderId} failed to start:`, fulfillError);
+            await markOrderFailed(orderId, fulfillError);
+        }
+
+        // Give the credits back if the scrape never started
+        if (!runId) {
+            await refundCredits(email, leads, orderId, { reason: 'Scraper run could not be started' });
+            return res.status(502).json({
+                error: 'Your order could not be started. Your credits have been refunded.',
+                orderId: orderId,
+                balance: await getBalance(email)
+            });
+        }
+
+        res.status(200).json({
+            orderId: orderId,
+            runId: runId,
+            balance: await getBalance(email)
+        });
+
+    } catch (error) {
+        console.error('❌ Credit order error:', error);
+        res.status(500).json({ error: 'An unexpected error occurred: ' + error.message });
+    }
+}
@@ -0,0 +1,126 @@
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const {
+    getCreditPacks,
+    getCreditPack,
+    getWallet,
+    verifyWalletKey
+} = require('../lib/credits');
+const { formatAmount } = require('../lib/pricing');
+const { guardRequest } = require('../lib/api-guard');
+
+// Vercel API endpoint for the lead-credit wallet
+// GET  /api/credits                     - credit packs on sale
+// GET  /api/credits?email=...&key=...   - wallet balance and recent ledger entries
+// POST /api/credits { packId, email }   - Stripe checkout session for a credit pack
+export default async function handler(req, res) {
+    const allowed = await guardRequest(req, res, {
+        name: 'credits',
+        limit: 30,
+        getEmail: req => (req.method === 'POST' ? req.body?.email : null)
+    });
+    if (!allowed) {
+        return;
+    }
+
+    if (req.method === 'GET') {
+        return getCredits(req, res);
+    }
+
+    if (req.method === 'POST') {
+        return buyCredits(req, res);
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+}
+
+async function getCredits(req, res) {
+    const { email, key } = req.query;
+
+    if (!email) {
+        return res.status(200).json({
+            packs: getCreditPacks().map(pack => ({
+                ...pack,
+                formattedAmount: formatAmount(pack.amount),
+                ratePerLead: pack.amount / 100 / pack.credits
+            }))
+        });
+    }
+
+    try {
+        if (!verifyWalletKey(email, key)) {
+            return res.status(403).json({ error: 'Invalid wallet key' });
+        }
+
+        const wallet = await getWallet(email);
+        res.status(200).json({
+            email: wallet.email,
+            balance: wallet.balance,
+            entries: wallet.entries.slice(-20).reverse()
+        });
+    } catch (error) {
+        console.error('❌ Credit balance error:', error);
+        res.status(500).json({ error: 'Failed to load credit balance' });
+    }
+}
+
+async function buyCredits(req, res) {
+    const { packId, email } = req.body || {};
+
+    const pack = getCreditPack(packId);
+    if (!pack) {
+        return res.status(400).json({ error: 'Please choose a valid credit pack' });
+    }
+
+    if (!email || !email.includes('@')) {
+        return res.status(400).json({ error: 'Please provide a valid email address' });
+    }
+
+    try {
+        const baseUrl = req.headers.origin || `https://${process.env.VERCEL_URL}`;
+
+        const metadata = {
+            purchaseType: 'credits',
+            packId: pack.id,
+            credits: pack.credits.toString(),
+            email: email,
+            amount: pack.amount.toString(),
+            timestamp: new Date().toISOString()
+        };
+
+        const session = await stripe.checkout.sessions.create({
+            payment_method_types: ['card'],
+            line_items: [{
+                price_data: {
+                    currency: 'usd',
+                    product_data: {
+                        name: `${pack.credits.toLocaleString()} Apollo Scraper Lead Credits`,
+                        description: `Prepaid credits for ${pack.credits.toLocaleString()} leads, spendable across any number of orders`
+                    },
+                    unit_amount: pack.amount
+                },
+                quantity: 1
+            }],
+            mode: 'payment',
+            success_url: `${baseUrl}/lead-scraper/payment-success?session_id={CHECKOUT_SESSION_ID}&type=credits`,
+            cancel_url: `${baseUrl}/lead-scraper/payment-cancelled`,
+            customer_email: email,
+            metadata: metadata,
+            payment_intent_data: {
+                metadata: {
+                    ...metadata,
+                    service: 'apollo-scraper'
+                }
+            }
+        });
+
+        console.log(`💳 Credit checkout session created: ${session.id} (${pack.id} for ${email})`);
+
+        res.status(200).json({
+            url: session.url,
+            sessionId: session.id
+        });
+    } catch (error) {
+        console.error('❌ Credit checkout error:', error);
+        res.status(500).json({ error: 'Failed to create credit checkout session' });
+    }
+}
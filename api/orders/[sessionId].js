@@ -0,0 +1,35 @@
+const { getOrderStatus } = require('../../lib/order-status');
+const { guardRequest } = require('../../lib/api-guard');
+
+// Vercel API endpoint: GET /api/orders/:sessionId - live status of a paid order
+export default async function handler(req, res) {
+    // The success page polls every 10 seconds
+    if (!(await guardRequest(req, res, { name: 'orders', methods: ['GET'], limit: 30 }))) {
+        return;
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { sessionId } = req.query;
+
+    // Stripe checkout sessions (cs_...) and credit-paid orders (credit_...)
+    if (!sessionId || !/^(cs|credit)_[A-Za-z0-9_]+$/.test(sessionId)) {
+        return res.status(400).json({ error: 'Invalid session ID' });
+    }
+
+    try {
+        const status = await getOrderStatus(sessionId);
+
+        if (!status) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        res.setHeader('Cache-Control', 'no-store');
+        res.status(200).json(status);
+    } catch (error) {
+        console.error(`❌ Order status error for ${sessionId}:`, error);
+        res.status(500).json({ error: 'Failed to load order status' });
+    }
+}
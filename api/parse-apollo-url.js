@@ -0,0 +1,29 @@
+const { parseApolloUrl, summarizeFilters, ApolloUrlError } = require('../lib/apollo-url');
+const { guardRequest } = require('../lib/api-guard');
+
+// Vercel API endpoint that checks an Apollo URL and describes its filters before payment
+export default async function handler(req, res) {
+    // Called as the customer types, so allow more than the checkout endpoints
+    if (!(await guardRequest(req, res, { name: 'parse-apollo-url', methods: ['POST'], limit: 60 }))) {
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        const { url, filters } = parseApolloUrl(req.body?.apolloUrl);
+        res.status(200).json({
+            url,
+            filters,
+            summary: summarizeFilters(filters)
+        });
+    } catch (error) {
+        if (error instanceof ApolloUrlError) {
+            return res.status(400).json({ error: error.message, code: error.code });
+        }
+        console.error('❌ Apollo URL parse error:', error);
+        res.status(500).json({ error: 'Failed to read Apollo URL' });
+    }
+}
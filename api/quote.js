@@ -0,0 +1,36 @@
+const { describePricing } = require('../lib/pricing');
+const { priceOrder } = require('../lib/promotions');
+const { guardRequest } = require('../lib/api-guard');
+
+// Vercel API endpoint that prices an order with the same engine used at checkout
+export default async function handler(req, res) {
+    // Called as the customer moves the lead slider, so allow more than the checkout endpoints
+    if (!(await guardRequest(req, res, { name: 'quote', limit: 60 }))) {
+        return;
+    }
+
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const params = req.method === 'GET' ? req.query : (req.body || {});
+    const rawLeads = params.leads;
+
+    // Without a lead count, return the price list so the form can render limits
+    if (rawLeads === undefined || rawLeads === '') {
+        return res.status(200).json({ pricing: describePricing() });
+    }
+
+    try {
+        const leads = Number(rawLeads);
+        const { quote, promotion, amount } = await priceOrder(leads, params.promoCode);
+        res.status(200).json({
+            quote,
+            promotion,
+            amount,
+            pricing: describePricing()
+        });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+}
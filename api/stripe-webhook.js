@@ -1,83 +1,20 @@
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-const fs = require('fs');
-const path = require('path');
-
-const TEMP_DIR = '/tmp/apollo-urls';
-const PROCESSED_DIR = '/tmp/processed-sessions';
-
-// Create processed sessions directory if it doesn't exist
-function ensureProcessedDir() {
-    if (!fs.existsSync(PROCESSED_DIR)) {
-        fs.mkdirSync(PROCESSED_DIR, { recursive: true });
-    }
-}
-
-// Check if a session has already been processed
-function isSessionProcessed(sessionId) {
-    ensureProcessedDir();
-    const filePath = path.join(PROCESSED_DIR, `${sessionId}.processed`);
-    return fs.existsSync(filePath);
-}
-
-// Mark a session as processed
-function markSessionProcessed(sessionId) {
-    ensureProcessedDir();
-    const filePath = path.join(PROCESSED_DIR, `${sessionId}.processed`);
-    fs.writeFileSync(filePath, JSON.stringify({
-        sessionId: sessionId,
-        processedAt: new Date().toISOString(),
-        timestamp: Date.now()
-    }));
-}
-
-function retrieveApolloUrl(sessionId) {
-    try {
-        console.log(`🔍 Attempting to retrieve Apollo URL for session: ${sessionId}`);
-        console.log(`🔍 Looking in directory: ${TEMP_DIR}`);
-        
-        const filePath = path.join(TEMP_DIR, `${sessionId}.json`);
-        console.log(`🔍 Full file path: ${filePath}`);
-        console.log(`🔍 File exists: ${fs.existsSync(filePath)}`);
-        
-        if (fs.existsSync(filePath)) {
-            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-            console.log(`✅ Retrieved full Apollo URL for session ${sessionId}`);
-            console.log(`📊 URL length: ${data.apolloUrl ? data.apolloUrl.length : 'undefined'} characters`);
-            return data;
-        } else {
-            console.log(`❌ No stored data found for session ${sessionId}`);
-            
-            // List what files ARE in the temp directory
-            try {
-                if (fs.existsSync(TEMP_DIR)) {
-                    const files = fs.readdirSync(TEMP_DIR);
-                    console.log(`🔍 Files in temp directory: ${JSON.stringify(files)}`);
-                } else {
-                    console.log(`🔍 Temp directory doesn't exist: ${TEMP_DIR}`);
-                }
-            } catch (listError) {
-                console.log(`🔍 Error listing temp directory: ${listError.message}`);
-            }
-            
-            return null;
-        }
-    } catch (error) {
-        console.error(`❌ Error retrieving Apollo URL for session ${sessionId}:`, error);
-        return null;
-    }
-}
-
-function cleanupApolloUrl(sessionId) {
-    try {
-        const filePath = path.join(TEMP_DIR, `${sessionId}.json`);
-        if (fs.existsSync(filePath)) {
-            fs.unlinkSync(filePath);
-            console.log(`Cleaned up stored data for session ${sessionId}`);
-        }
-    } catch (error) {
-        console.error(`Error cleaning up session ${sessionId}:`, error);
-    }
-}
+const { ORDER_STATUS, getOrder } = require('../lib/order-repository');
+const { fulfillOrder, postEmailWebhook } = require('../lib/fulfillment');
+const { handleSuccessfulPayment, resolveSubscription } = require('../lib/checkout-payments');
+const { cancelOrder } = require('../lib/order-cancellation');
+const { enqueueTrigger } = require('../lib/trigger-queue');
+const { runOnce } = require('../lib/event-ledger');
+const { ENTRY_TYPES, getWallet, debitCredits, recordCreditReview } = require('../lib/credits');
+const { releasePromotion } = require('../lib/promotions');
+const {
+    SUBSCRIPTION_STATUS,
+    getSubscription,
+    setSubscriptionStatus,
+    hasCycle,
+    recordCycle,
+    getManageUrl
+} = require('../lib/subscriptions');
 
 export default async function handler(req, res) {
     if (req.method !== 'POST') {
@@ -109,7 +46,25 @@ export default async function handler(req, res) {
         return res.status(400).json({ error: `Webhook signature verification failed: ${err.message}` });
     }
 
-    // Handle the event
+    // Claim the event before any side effects so repeated or concurrent deliveries are skipped
+    try {
+        const { claimed } = await runOnce(`event:${event.id}`, () => handleEvent(event));
+        if (!claimed) {
+            return res.status(200).json({ received: true, duplicate: true });
+        }
+    } catch (error) {
+        console.error(`❌ Error handling ${event.type} event ${event.id}:`, error);
+        // A 5xx makes Stripe redeliver the event; the failed claim lets that delivery retry it
+        return res.status(500).json({ error: 'Webhook processing failed' });
+    }
+
+    res.status(200).json({ received: true });
+}
+
+/**
+ * Dispatch a verified event. Errors propagate so the event is recorded as failed.
+ */
+async function handleEvent(event) {
     switch (event.type) {
         case 'checkout.session.completed':
             console.log(`🎯 Processing checkout.session.completed for session: ${event.data.object.id}`);
@@ -117,6 +72,35 @@ export default async function handler(req, res) {
             console.log(`🎯 Created timestamp: ${new Date(event.created * 1000).toISOString()}`);
             await handleSuccessfulPayment(event.data.object);
             break;
+        case 'checkout.session.async_payment_succeeded':
+            console.log(`🎯 Delayed payment succeeded for session: ${event.data.object.id}`);
+            await handleSuccessfulPayment(event.data.object);
+            break;
+        case 'checkout.session.async_payment_failed':
+            console.log(`❌ Delayed payment failed for session: ${event.data.object.id}`);
+            await handleAsyncPaymentFailed(event.data.object);
+            break;
+        case 'checkout.session.expired':
+            console.log(`⌛ Checkout session expired: ${event.data.object.id}`);
+            await handleSessionExpired(event.data.object);
+            break;
+        case 'charge.refunded':
+            console.log(`↩️ Charge refunded: ${event.data.object.id}`);
+            await handleChargeRefunded(event.data.object);
+            break;
+        case 'charge.dispute.created':
+            console.log(`⚠️ Dispute opened: ${event.data.object.id}`);
+            await handleDisputeCreated(event.data.object);
+            break;
+        case 'invoice.paid':
+            console.log(`🔁 Processing invoice.paid for invoice: ${event.data.object.id}`);
+            await handleInvoicePaid(event.data.object);
+            break;
+        case 'customer.subscription.updated':
+        case 'customer.subscription.deleted':
+            console.log(`🔁 Subscription ${event.data.object.id} changed: ${event.data.object.status}`);
+            await handleSubscriptionChange(event.data.object, event.type);
+            break;
         case 'payment_intent.succeeded':
             console.log('Payment intent succeeded:', event.data.object.id);
             break;
@@ -126,255 +110,284 @@ export default async function handler(req, res) {
         default:
             console.log(`Unhandled event type: ${event.type}`);
     }
-
-    res.status(200).json({ received: true });
 }
 
-async function handleSuccessfulPayment(session) {
+
+async function handleAsyncPaymentFailed(session) {
     try {
-        console.log('Processing successful payment:', session.id);
-        
-        // Check if the session has already been processed
-        if (isSessionProcessed(session.id)) {
-            console.log(`⚠️ Session ${session.id} has already been processed`);
+        if (session.metadata?.purchaseType === 'credits') {
+            await handleCreditPaymentFailed(session);
             return;
         }
-        
-        // Retrieve the full Apollo URL and order details from storage
-        let storedData = retrieveApolloUrl(session.id);
-        
-        if (!storedData) {
-            console.error('No stored Apollo URL found for session:', session.id);
-            // Fallback to metadata - try to reconstruct from chunks first, then use truncated
-            const { leads, apolloUrl, email, cleanOutput, urlChunkCount } = session.metadata;
-            if (!leads || !email) {
-                console.error('Missing required metadata in session:', session.id);
-                return;
-            }
-            
-            let fullApolloUrl = apolloUrl; // Default to truncated
-            
-            if (urlChunkCount) {
-                try {
-                    const chunkCount = parseInt(urlChunkCount);
-                    console.log(`🔍 Reconstructing URL from ${chunkCount} chunks`);
-                    
-                    // Reconstruct base64 from chunks
-                    let reconstructedBase64 = '';
-                    for (let i = 0; i < chunkCount; i++) {
-                        const chunkKey = `urlChunk${i}`;
-                        const chunk = session.metadata[chunkKey];
-                        if (chunk) {
-                            reconstructedBase64 += chunk;
-                        } else {
-                            throw new Error(`Missing chunk ${i}`);
-                        }
-                    }
-                    
-                    // Decode from base64
-                    fullApolloUrl = Buffer.from(reconstructedBase64, 'base64').toString();
-                    console.log(`✅ Reconstructed full Apollo URL from ${chunkCount} chunks (${fullApolloUrl.length} characters)`);
-                } catch (decodeError) {
-                    console.log('⚠️ Failed to reconstruct URL from chunks, using truncated version:', decodeError.message);
-                }
-            } else {
-                console.log('⚠️ No URL chunks found, using truncated URL from metadata as fallback');
-            }
-            
-            storedData = { apolloUrl: fullApolloUrl, email, leads, cleanOutput };
-        } else {
-            console.log(`Retrieved full Apollo URL (${storedData.apolloUrl.length} characters) for session ${session.id}`);
-        }
-        
-        const { apolloUrl, email, leads, cleanOutput } = storedData;
 
-        // Generate a random filename for this order
-        const fileName = generateRandomFileName();
-        
-        console.log(`Starting Apollo scraper for paid order:`, {
-            sessionId: session.id,
-            email: email,
-            leads: leads,
-            fileName: fileName,
-            amount: session.amount_total / 100,
-            urlLength: apolloUrl.length
+        await releasePromotion(session.metadata?.promoCode, session.metadata?.orderId);
+        await cancelOrder(session.id, ORDER_STATUS.PAYMENT_FAILED, {
+            reason: 'Your payment could not be completed',
+            notification: 'payment-failed',
+            email: session.customer_details?.email || session.metadata?.email
         });
+    } catch (error) {
+        console.error(`Error processing failed payment for ${session.id}:`, error);
+        throw error;
+    }
+}
 
-        // Trigger Apollo scraper with FULL URL
-        const runId = await triggerApolloScraper({
-            url: apolloUrl,
-            totalRecords: parseInt(leads),
-            fileName: fileName,
-            email: email,
-            cleanOutput: cleanOutput === 'true',
-            paymentSessionId: session.id,
-            paidAmount: session.amount_total / 100
-        });
+/**
+ * A credit pack paid by a delayed method that never cleared. Credits are only added once the
+ * payment succeeds, but purchases handled before that rule still hold them, so take those back.
+ */
+async function handleCreditPaymentFailed(session) {
+    const { email, credits } = session.metadata;
+    const reason = 'Your payment could not be completed';
+
+    const wallet = await getWallet(email);
+    if (wallet.entries.some(entry => entry.type === ENTRY_TYPES.PURCHASE && entry.reference === session.id)) {
+        await reverseCreditPurchase(session, session.id, reason);
+        return;
+    }
 
-        // Send email webhook notification (matching the form's behavior)
-        await sendEmailWebhook(email, parseInt(leads), apolloUrl, fileName);
+    await postEmailWebhook({
+        type: 'payment-failed',
+        email: email,
+        credits: parseInt(credits),
+        reason: reason,
+        timestamp: new Date().toISOString(),
+        service: 'apollo-scraper',
+        source: 'stripe-payment'
+    });
+}
 
-        console.log(`Apollo scraper triggered successfully for payment ${session.id}`);
-        
-        // Clean up the stored data after successful processing
-        cleanupApolloUrl(session.id);
+/**
+ * Abandoned checkouts - only orders we recorded are updated, nothing was paid
+ */
+async function handleSessionExpired(session) {
+    try {
+        // The promo code use held for this checkout goes back to the pool
+        await releasePromotion(session.metadata?.promoCode, session.metadata?.orderId);
 
-        // Mark the session as processed
-        markSessionProcessed(session.id);
+        const order = await getOrder(session.id);
+        if (!order || order.status !== ORDER_STATUS.CREATED) {
+            return;
+        }
 
+        await cancelOrder(session.id, ORDER_STATUS.EXPIRED, {
+            reason: 'Checkout expired before payment',
+            notification: 'checkout-expired'
+        });
     } catch (error) {
-        console.error('Error processing successful payment:', error);
-        
-        // Don't clean up data if there was an error - might need it for retry
-        // cleanupApolloUrl(session.id);
+        console.error(`Error processing expired session ${session.id}:`, error);
+        throw error;
     }
 }
 
-async function triggerApolloScraper(orderDetails) {
-    const {
-        url,
-        totalRecords,
-        fileName,
-        email,
-        cleanOutput,
-        paymentSessionId,
-        paidAmount
-    } = orderDetails;
-
+async function handleChargeRefunded(charge) {
     try {
-        // Prepare the payload for YOUR Apollo actor (matching your actor's expected parameters)
-        const payload = {
-            url: url,                    // Apollo search URL
-            totalRecords: totalRecords,  // Number of leads to scrape
-            fileName: fileName,          // File name for the export
-            email: email,                // Customer email (MISSING PARAMETER!)
-            cleanOutput: cleanOutput     // Whether to clean the output data
-        };
+        // Partial refunds are goodwill credits - the order keeps running
+        if (!charge.refunded) {
+            console.log(`ℹ️ Charge ${charge.id} partially refunded (${charge.amount_refunded} of ${charge.amount}), order unchanged`);
+            return;
+        }
 
-        console.log('Triggering YOUR Apollo actor with payload:', {
-            ...payload,
-            url: payload.url.substring(0, 100) + '...', // Truncate URL for logging
-            totalRecords: payload.totalRecords,
-            fileName: payload.fileName,
-            cleanOutput: payload.cleanOutput
+        await reversePayment(charge.payment_intent, charge.invoice, ORDER_STATUS.REFUNDED, {
+            reference: charge.id,
+            reason: 'Payment refunded',
+            notification: 'order-refunded',
+            fields: { amountRefunded: charge.amount_refunded }
         });
+    } catch (error) {
+        console.error(`Error processing refund for charge ${charge.id}:`, error);
+        throw error;
+    }
+}
+
+async function handleDisputeCreated(dispute) {
+    try {
+        const charge = await stripe.charges.retrieve(dispute.charge);
 
-        // Call YOUR Apollo actor
-        const actorUrl = `https://api.apify.com/v2/acts/${encodeURIComponent(process.env.APOLLO_ACTOR_ID)}/runs?token=${process.env.APIFY_TOKEN}`;
-        
-        console.log(`Calling actor: ${process.env.APOLLO_ACTOR_ID}`);
-        console.log(`API URL: ${actorUrl}`);
-        
-        const response = await fetch(actorUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json; charset=utf-8',
-                'Accept': 'application/json',
-                'User-Agent': 'Apollo-Scraper-Webhook/1.0'
-            },
-            body: JSON.stringify(payload)
+        await reversePayment(charge.payment_intent, charge.invoice, ORDER_STATUS.DISPUTED, {
+            reference: dispute.id,
+            reason: `Payment disputed (${dispute.reason})`,
+            notification: 'order-disputed',
+            fields: { disputeId: dispute.id }
         });
+    } catch (error) {
+        console.error(`Error processing dispute ${dispute.id}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Close the order (or take back the credits) behind a refunded or disputed payment
+ */
+async function reversePayment(paymentIntentId, invoiceId, status, { reference, reason, notification, fields }) {
+    const { orderKey, session } = await findPaymentOrder(paymentIntentId, invoiceId);
+
+    if (session?.metadata?.purchaseType === 'credits') {
+        await reverseCreditPurchase(session, reference, reason);
+        return;
+    }
+
+    if (!orderKey) {
+        console.log(`⚠️ No order found for payment ${paymentIntentId || invoiceId}`);
+        return;
+    }
+
+    await cancelOrder(orderKey, status, { reason, notification, fields });
+}
 
-        console.log(`Apify API response status: ${response.status}`);
-        
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error(`Apify API error response: ${errorText}`);
-            throw new Error(`Apollo actor API call failed: ${response.status} ${response.statusText} - ${errorText}`);
+/**
+ * Locate the order paid by a payment intent or subscription invoice. Returns the
+ * order key and, for one-off payments, the checkout session.
+ */
+async function findPaymentOrder(paymentIntentId, invoiceId) {
+    if (invoiceId) {
+        if (await getOrder(invoiceId)) {
+            return { orderKey: invoiceId, session: null };
         }
 
-        const result = await response.json();
-        console.log('Apify API success response:', result);
-        
-        const runId = result.data?.id || result.id || result.runId;
+        // The first subscription cycle is stored under its checkout session
+        const invoice = await stripe.invoices.retrieve(invoiceId);
+        const subscription = invoice.subscription ? await getSubscription(invoice.subscription) : null;
+        if (invoice.billing_reason === 'subscription_create' && subscription) {
+            return { orderKey: subscription.sessionId, session: null };
+        }
+    }
 
-        console.log(`✅ YOUR Apollo actor started successfully!`);
-        console.log(`Payment: ${paymentSessionId}, Run ID: ${runId}`);
-        console.log(`Customer: ${email}, Amount: $${paidAmount}`);
+    if (paymentIntentId) {
+        const sessions = await stripe.checkout.sessions.list({ payment_intent: paymentIntentId, limit: 1 });
+        const session = sessions.data[0];
+        if (session) {
+            return { orderKey: session.id, session };
+        }
+    }
+
+    return { orderKey: null, session: null };
+}
 
-        return runId;
+/**
+ * Remove refunded or disputed credits from the customer's wallet. Credits already
+ * spent cannot be taken back automatically and are recorded for manual review; any
+ * other failure is rethrown so Stripe redelivers the event.
+ */
+async function reverseCreditPurchase(session, reference, reason) {
+    const { email, credits } = session.metadata;
 
+    let entry;
+    try {
+        entry = await debitCredits(email, parseInt(credits), reference, { reason, sessionId: session.id });
     } catch (error) {
-        console.error('❌ Error triggering YOUR Apollo scraper:', error);
-        console.error('Error details:', {
-            message: error.message,
-            stack: error.stack,
-            actorId: process.env.APOLLO_ACTOR_ID,
-            hasApifyToken: !!process.env.APIFY_TOKEN
+        if (error.code !== 'INSUFFICIENT_CREDITS') {
+            throw error;
+        }
+
+        console.error(`❌ Could not reverse credit purchase ${session.id} for ${email} - manual review needed:`, error.message);
+        await recordCreditReview(email, reference, {
+            sessionId: session.id,
+            credits: parseInt(credits),
+            balance: error.balance,
+            reason: reason
         });
-        throw error;
+        return;
     }
-}
 
-function generateRandomFileName() {
-    const characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-    let result = '';
-    for (let i = 0; i < 6; i++) {
-        result += characters.charAt(Math.floor(Math.random() * characters.length));
-    }
-    return result;
+    await postEmailWebhook({
+        type: 'credit-reversal',
+        email: email,
+        credits: parseInt(credits),
+        balance: entry.balanceAfter,
+        reason: reason,
+        timestamp: new Date().toISOString(),
+        service: 'apollo-scraper',
+        source: 'stripe-payment'
+    });
 }
 
-async function sendEmailWebhook(email, leadCount, apolloUrl, fileName) {
+/**
+ * Each paid subscription invoice starts one scrape of the subscribed search
+ */
+async function handleInvoicePaid(invoice) {
     try {
-        const emailWebhookUrl = process.env.EMAIL_WEBHOOK_URL;
-        
-        console.log(`📧 EMAIL_WEBHOOK_URL configured: ${emailWebhookUrl ? 'YES' : 'NO'}`);
-        console.log(`📧 EMAIL_WEBHOOK_URL value: ${emailWebhookUrl}`);
-        
-        if (!emailWebhookUrl) {
-            console.log('ℹ️ No EMAIL_WEBHOOK_URL configured, skipping email webhook');
+        if (!invoice.subscription) {
+            console.log(`Invoice ${invoice.id} is not for a subscription, ignoring`);
             return;
         }
 
-        console.log('📧 Sending email webhook notification...');
-        console.log(`📧 Target URL: ${emailWebhookUrl}`);
-        console.log(`📧 Customer email: ${email}`);
-        console.log(`📧 Lead count: ${leadCount}`);
-        console.log(`📧 File name: ${fileName}`);
-        
-        const emailPayload = {
-            email: email,
-            leadCount: leadCount,
-            apolloUrl: apolloUrl,
-            timestamp: new Date().toISOString(),
-            service: 'apollo-scraper',
-            fileName: fileName,
-            source: 'stripe-payment' // Additional context that this came from payment
+        const subscription = await resolveSubscription(invoice.subscription);
+        if (!subscription) {
+            return;
+        }
+
+        if (hasCycle(subscription, invoice.id)) {
+            console.log(`⚠️ Invoice ${invoice.id} has already been processed`);
+            return;
+        }
+
+        // A paid invoice settles a past-due subscription, even before Stripe's own update arrives
+        if (subscription.status === SUBSCRIPTION_STATUS.PAST_DUE) {
+            await setSubscriptionStatus(subscription.subscriptionId, SUBSCRIPTION_STATUS.ACTIVE);
+        } else if (subscription.status !== SUBSCRIPTION_STATUS.ACTIVE) {
+            console.log(`⚠️ Subscription ${subscription.subscriptionId} is ${subscription.status}, skipping invoice ${invoice.id}`);
+            return;
+        }
+
+        // The first cycle belongs to the checkout session so the success page can follow it
+        const orderKey = invoice.billing_reason === 'subscription_create' ? subscription.sessionId : invoice.id;
+
+        const cycleOrder = {
+            ...subscription,
+            subscriptionId: subscription.subscriptionId
+        };
+        const emailExtras = {
+            subscriptionId: subscription.subscriptionId,
+            billingInterval: subscription.interval,
+            cycle: subscription.cycles.length + 1,
+            manageUrl: getManageUrl(subscription)
         };
 
-        console.log('📧 Email webhook payload:', JSON.stringify(emailPayload, null, 2));
+        const { claimed } = await runOnce(`invoice:${invoice.id}`, async () => {
+            let runId = null;
+            try {
+                runId = await fulfillOrder(orderKey, cycleOrder, invoice.amount_paid, emailExtras);
+            } catch (triggerError) {
+                // The cycle is still recorded so a redelivered invoice does not start a second run
+                await enqueueTrigger(orderKey, cycleOrder, invoice.amount_paid, emailExtras, triggerError);
+            }
 
-        const response = await fetch(emailWebhookUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'User-Agent': 'Apollo-Scraper-Email/1.0'
-            },
-            body: JSON.stringify(emailPayload)
+            await recordCycle(subscription.subscriptionId, {
+                invoiceId: invoice.id,
+                orderKey: orderKey,
+                runId: runId
+            });
         });
 
-        console.log(`📧 Email webhook response status: ${response.status}`);
-        console.log(`📧 Email webhook response headers:`, Object.fromEntries(response.headers.entries()));
-
-        if (response.ok) {
-            console.log('✅ Email webhook sent successfully');
-            const responseText = await response.text();
-            console.log('📧 Email webhook response body:', responseText);
-        } else {
-            console.log(`⚠️ Email webhook failed: ${response.status} ${response.statusText}`);
-            const errorText = await response.text();
-            console.log('❌ Email webhook error response:', errorText);
+        if (!claimed) {
+            console.log(`⚠️ Invoice ${invoice.id} is already being processed`);
         }
+
     } catch (error) {
-        console.error('❌ Email webhook error:', error);
-        console.error('❌ Email webhook error stack:', error.stack);
-        console.error('❌ Email webhook error details:', {
-            name: error.name,
-            message: error.message,
-            emailWebhookUrl: process.env.EMAIL_WEBHOOK_URL
-        });
+        console.error(`Error processing invoice ${invoice.id}:`, error);
+        throw error;
+    }
+}
+
+// Stripe statuses where the subscription still exists but invoices are not being paid
+const UNPAID_SUBSCRIPTION_STATUSES = ['past_due', 'unpaid', 'incomplete', 'incomplete_expired'];
+
+/**
+ * Keep our subscription status in line with Stripe (cancellations, pauses from the dashboard,
+ * failed renewals). A deleted subscription is always canceled, whatever its last status says.
+ */
+async function handleSubscriptionChange(stripeSubscription, eventType) {
+    let status = SUBSCRIPTION_STATUS.ACTIVE;
+    if (eventType === 'customer.subscription.deleted' || stripeSubscription.status === 'canceled') {
+        status = SUBSCRIPTION_STATUS.CANCELED;
+    } else if (stripeSubscription.pause_collection) {
+        status = SUBSCRIPTION_STATUS.PAUSED;
+    } else if (UNPAID_SUBSCRIPTION_STATUSES.includes(stripeSubscription.status)) {
+        status = SUBSCRIPTION_STATUS.PAST_DUE;
     }
+
+    await setSubscriptionStatus(stripeSubscription.id, status);
 }
 
 // Raw body parser for Stripe webhooks
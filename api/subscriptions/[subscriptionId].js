@@ -0,0 +1,74 @@
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const {
+    SUBSCRIPTION_STATUS,
+    getSubscription,
+    setSubscriptionStatus,
+    verifyManageToken
+} = require('../../lib/subscriptions');
+const { guardRequest } = require('../../lib/api-guard');
+
+// Vercel API endpoint: view, pause, resume or cancel a recurring scrape
+// GET  /api/subscriptions/:subscriptionId?token=...
+// POST /api/subscriptions/:subscriptionId  { token, action: 'pause' | 'resume' | 'cancel' }
+export default async function handler(req, res) {
+    if (!(await guardRequest(req, res, { name: 'subscriptions' }))) {
+        return;
+    }
+
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { subscriptionId } = req.query;
+    const token = req.method === 'GET' ? req.query.token : req.body?.token;
+
+    try {
+        if (!subscriptionId || !verifyManageToken(subscriptionId, token)) {
+            return res.status(403).json({ error: 'Invalid or expired management link' });
+        }
+
+        const subscription = await getSubscription(subscriptionId);
+        if (!subscription) {
+            return res.status(404).json({ error: 'Subscription not found' });
+        }
+
+        if (req.method === 'POST') {
+            const { action } = req.body || {};
+
+            if (subscription.status === SUBSCRIPTION_STATUS.CANCELED) {
+                return res.status(409).json({ error: 'This subscription has already been cancelled' });
+            }
+
+            if (action === 'pause') {
+                // Stripe voids invoices while paused, so no invoice.paid and no runs
+                await stripe.subscriptions.update(subscriptionId, { pause_collection: { behavior: 'void' } });
+                await setSubscriptionStatus(subscriptionId, SUBSCRIPTION_STATUS.PAUSED);
+            } else if (action === 'resume') {
+                await stripe.subscriptions.update(subscriptionId, { pause_collection: '' });
+                await setSubscriptionStatus(subscriptionId, SUBSCRIPTION_STATUS.ACTIVE);
+            } else if (action === 'cancel') {
+                await stripe.subscriptions.cancel(subscriptionId);
+                await setSubscriptionStatus(subscriptionId, SUBSCRIPTION_STATUS.CANCELED);
+            } else {
+                return res.status(400).json({ error: 'Action must be pause, resume or cancel' });
+            }
+
+            console.log(`🔁 Customer ${action} for subscription ${subscriptionId}`);
+        }
+
+        const current = await getSubscription(subscriptionId);
+        res.status(200).json({
+            subscriptionId: current.subscriptionId,
+            status: current.status,
+            interval: current.interval,
+            leads: current.leads,
+            searchSummary: current.searchSummary,
+            cycles: current.cycles.length,
+            lastRunAt: current.cycles.length > 0 ? current.cycles[current.cycles.length - 1].at : null
+        });
+
+    } catch (error) {
+        console.error(`❌ Subscription management error for ${subscriptionId}:`, error);
+        res.status(500).json({ error: 'Failed to update subscription' });
+    }
+}
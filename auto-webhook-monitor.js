@@ -1,5 +1,8 @@
 const axios = require('axios');
 const { CONFIG } = require('./config.js');
+const { readDatasetPages, countDatasetItems } = require('./lib/dataset-reader');
+const { postSigned } = require('./lib/webhook-delivery');
+const { DELIVERY_RESULT, resolveDestinations, streamToDestinations } = require('./lib/destinations');
 
 /**
  * Auto Webhook Monitor - Monitors an Apify run and automatically sends data to webhook when complete
@@ -43,59 +46,50 @@ async function monitorAndSendWebhook(runId) {
 
                 console.log(`🔍 Retrieving data from dataset: ${datasetId}`);
 
-                // Get data from dataset
-                const datasetUrl = `https://api.apify.com/v2/datasets/${datasetId}/items?token=${CONFIG.APIFY_TOKEN}`;
-                const datasetResponse = await axios.get(datasetUrl, {
-                    timeout: 30000
-                });
-                
-                const scrapedData = datasetResponse.data;
-                console.log(`📦 Retrieved ${scrapedData.length} items from dataset`);
+                const itemCount = await countDatasetItems(datasetId, { token: CONFIG.APIFY_TOKEN });
+                console.log(`📦 Dataset has ${itemCount} items`);
 
-                if (scrapedData.length === 0) {
+                if (itemCount === 0) {
                     console.log('⚠️ No data found in dataset');
                     return;
                 }
 
-                // Send data to webhook
-                const payload = {
-                    data: scrapedData,
-                    metadata: {
-                        success: true,
-                        message: 'Data automatically sent after run completion',
-                        totalRecords: scrapedData.length,
-                        runId: runId,
-                        datasetId: datasetId,
-                        timestamp: new Date().toISOString(),
-                        configuredWebhookUrl: CONFIG.WEBHOOK_URL,
-                        retrievedAt: new Date().toISOString(),
-                        runFinishedAt: runData.finishedAt,
-                        runStartedAt: runData.startedAt,
-                        automatedDelivery: true,
-                        monitoringAttempts: attempt
-                    }
+                const metadata = {
+                    success: true,
+                    message: 'Data automatically sent after run completion',
+                    totalRecords: itemCount,
+                    runId: runId,
+                    datasetId: datasetId,
+                    timestamp: new Date().toISOString(),
+                    configuredWebhookUrl: CONFIG.WEBHOOK_URL,
+                    retrievedAt: new Date().toISOString(),
+                    runFinishedAt: runData.finishedAt,
+                    runStartedAt: runData.startedAt,
+                    automatedDelivery: true,
+                    monitoringAttempts: attempt
                 };
 
-                console.log(`📤 Sending ${scrapedData.length} leads to webhook...`);
-                console.log(`📊 Payload size: ${JSON.stringify(payload).length} characters`);
+                // Stream the dataset page by page to every destination
+                const destinations = resolveDestinations(CONFIG.DESTINATIONS, { url: CONFIG.WEBHOOK_URL, secret: CONFIG.WEBHOOK_SECRET });
+                console.log(`📤 Sending ${itemCount} leads to ${destinations.length} destination(s)...`);
 
-                const webhookResponse = await axios.post(CONFIG.WEBHOOK_URL, payload, {
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'User-Agent': 'Apify-Apollo-Auto-Monitor/1.0'
-                    },
-                    timeout: 60000,
-                    maxContentLength: Infinity,
-                    maxBodyLength: Infinity
+                const results = await streamToDestinations(destinations, readDatasetPages(datasetId, { token: CONFIG.APIFY_TOKEN }), metadata, {
+                    userAgent: 'Apify-Apollo-Auto-Monitor/1.0',
+                    itemCount
                 });
 
-                console.log(`✅ Webhook response: ${webhookResponse.status} ${webhookResponse.statusText}`);
-                
-                if (webhookResponse.data) {
-                    console.log(`📋 Webhook response data:`, webhookResponse.data);
+                const failed = results.filter(result => result.status === DELIVERY_RESULT.FAILED);
+                if (failed.length === results.length) {
+                    throw new Error(`Delivery failed for every destination: ${failed.map(result => `${result.name} (${result.error})`).join(', ')}`);
                 }
 
-                console.log(`🎉 Successfully sent ${scrapedData.length} leads to webhook automatically!`);
+                results.forEach(result => {
+                    if (result.status === DELIVERY_RESULT.DELIVERED) {
+                        console.log(`🎉 [${result.name}] Successfully sent ${result.records} leads automatically!`);
+                    } else {
+                        console.error(`❌ [${result.name}] Delivery failed: ${result.error}`);
+                    }
+                });
                 console.log(`⏱️ Total monitoring time: ${(attempt * checkInterval / 1000)} seconds`);
                 
                 return;
@@ -121,12 +115,10 @@ async function monitorAndSendWebhook(runId) {
                 };
                 
                 try {
-                    await axios.post(CONFIG.WEBHOOK_URL, errorPayload, {
-                        headers: {
-                            'Content-Type': 'application/json',
-                            'User-Agent': 'Apify-Apollo-Auto-Monitor/1.0'
-                        },
-                        timeout: 30000
+                    await postSigned(CONFIG.WEBHOOK_URL, errorPayload, {
+                        userAgent: 'Apify-Apollo-Auto-Monitor/1.0',
+                        timeout: 30000,
+                        secret: CONFIG.WEBHOOK_SECRET || process.env.WEBHOOK_SECRET
                     });
                     console.log('📧 Error notification sent to webhook');
                 } catch (webhookError) {
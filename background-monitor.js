@@ -1,6 +1,10 @@
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const { countDatasetItems } = require('./lib/dataset-reader');
+const { postSigned } = require('./lib/webhook-delivery');
+const { DELIVERY_STATUS, sendDelivery, processDueDeliveries } = require('./lib/webhook-outbox');
+const { DELIVERY_RESULT, resolveDestinations, destinationSecrets } = require('./lib/destinations');
 
 // Load configuration
 let config;
@@ -20,16 +24,27 @@ try {
     process.exit(1);
 }
 
+let destinations;
+try {
+    destinations = resolveDestinations(config.DESTINATIONS, { url: config.WEBHOOK_URL, secret: config.WEBHOOK_SECRET });
+} catch (error) {
+    console.error('❌ Invalid webhook destinations:', error.message);
+    process.exit(1);
+}
+
 class BackgroundMonitor {
     constructor() {
         this.activeRuns = new Map();
         this.maxAttempts = 120; // Monitor for up to 60 minutes (120 * 30 seconds)
         this.checkInterval = 30000; // Check every 30 seconds
         this.logFile = path.join(__dirname, 'monitor.log');
+        this.outboxInterval = 60000; // Retry due webhook deliveries every minute
+        this.outboxTimer = null;
         
         console.log('🚀 Background Monitor initialized');
         console.log(`📊 Max monitoring time: ${this.maxAttempts * this.checkInterval / 1000 / 60} minutes`);
         console.log(`🔗 Webhook URL: ${config.WEBHOOK_URL}`);
+        console.log(`📬 Destinations: ${destinations.map(destination => destination.name).join(', ')}`);
         console.log(`📝 Log file: ${this.logFile}`);
     }
 
@@ -149,16 +164,10 @@ class BackgroundMonitor {
                 throw new Error('No dataset ID found in run data');
             }
 
-            this.log(`🔍 [${runId}] Retrieving data from dataset: ${datasetId}`);
-
-            // Get data from dataset
-            const datasetUrl = `https://api.apify.com/v2/datasets/${datasetId}/items?token=${config.APIFY_TOKEN}`;
-            const datasetResponse = await axios.get(datasetUrl);
-            
-            const scrapedData = datasetResponse.data;
-            this.log(`📦 [${runId}] Retrieved ${scrapedData.length} items from dataset`);
+            const itemCount = await countDatasetItems(datasetId, { token: config.APIFY_TOKEN });
+            this.log(`📦 [${runId}] Dataset ${datasetId} has ${itemCount} items`);
 
-            if (scrapedData.length === 0) {
+            if (itemCount === 0) {
                 this.log(`⚠️ [${runId}] Scraping completed but no data found in dataset`, 'WARN');
                 
                 // Send empty result notification
@@ -171,37 +180,50 @@ class BackgroundMonitor {
                 return;
             }
 
-            // Send data to webhook
-            const payload = {
-                data: scrapedData,
-                metadata: {
-                    success: true,
-                    message: 'Data automatically sent by background monitor',
-                    totalRecords: scrapedData.length,
-                    runId: runId,
-                    datasetId: datasetId,
-                    timestamp: new Date().toISOString(),
-                    configuredWebhookUrl: config.WEBHOOK_URL,
-                    automatedDelivery: true,
-                    backgroundMonitor: true,
-                    monitoringAttempts: this.activeRuns.get(runId)?.attempts || 0,
-                    runStartedAt: runData.startedAt,
-                    runFinishedAt: runData.finishedAt
-                }
+            const metadata = {
+                success: true,
+                message: 'Data automatically sent by background monitor',
+                totalRecords: itemCount,
+                runId: runId,
+                datasetId: datasetId,
+                timestamp: new Date().toISOString(),
+                configuredWebhookUrl: config.WEBHOOK_URL,
+                automatedDelivery: true,
+                backgroundMonitor: true,
+                monitoringAttempts: this.activeRuns.get(runId)?.attempts || 0,
+                runStartedAt: runData.startedAt,
+                runFinishedAt: runData.finishedAt
             };
 
-            this.log(`📤 [${runId}] Sending ${scrapedData.length} leads to webhook...`);
+            this.log(`📤 [${runId}] Sending ${itemCount} leads to ${destinations.length} destination(s)...`);
 
-            const webhookResponse = await axios.post(config.WEBHOOK_URL, payload, {
-                headers: {
-                    'Content-Type': 'application/json',
-                    'User-Agent': 'Apify-Apollo-Background-Monitor/1.0'
-                },
-                timeout: 30000 // 30 second timeout
+            // Written to the outbox first, so a failing webhook is retried instead of losing the data.
+            // Each delivery streams the dataset page by page rather than loading it whole.
+            const results = [];
+            for (const destination of destinations) {
+                const delivery = await sendDelivery(destination, { datasetId, itemCount }, metadata, {
+                    userAgent: 'Apify-Apollo-Background-Monitor/1.0',
+                    token: config.APIFY_TOKEN
+                });
+                const status = delivery.delivered ? DELIVERY_RESULT.DELIVERED
+                    : delivery.status === DELIVERY_STATUS.FAILED ? DELIVERY_RESULT.FAILED
+                        : DELIVERY_RESULT.QUEUED;
+                results.push({ name: destination.name, deliveryId: delivery.deliveryId, status });
+            }
+
+            results.forEach(result => {
+                if (result.status === DELIVERY_RESULT.DELIVERED) {
+                    this.log(`🎉 [${runId}] SUCCESS: leads sent to ${result.name} (delivery ${result.deliveryId})`);
+                } else if (result.status === DELIVERY_RESULT.QUEUED) {
+                    this.log(`⏳ [${runId}] Delivery ${result.deliveryId} to ${result.name} failed, kept in the outbox for retry`, 'WARN');
+                } else {
+                    this.log(`❌ [${runId}] Delivery to ${result.name} failed, see outbox entry ${result.deliveryId}`, 'ERROR');
+                }
             });
 
-            this.log(`✅ [${runId}] Webhook response: ${webhookResponse.status}`);
-            this.log(`🎉 [${runId}] SUCCESS: ${scrapedData.length} leads sent to webhook successfully!`);
+            if (results.some(result => result.status === DELIVERY_RESULT.QUEUED)) {
+                this.startOutboxWorker();
+            }
 
         } catch (error) {
             this.log(`❌ [${runId}] Error handling successful run: ${error.message}`, 'ERROR');
@@ -259,12 +281,10 @@ class BackgroundMonitor {
                 ...data
             };
 
-            const response = await axios.post(config.WEBHOOK_URL, payload, {
-                headers: {
-                    'Content-Type': 'application/json',
-                    'User-Agent': 'Apify-Apollo-Background-Monitor/1.0'
-                },
-                timeout: 30000
+            const response = await postSigned(config.WEBHOOK_URL, payload, {
+                userAgent: 'Apify-Apollo-Background-Monitor/1.0',
+                timeout: 30000,
+                secret: config.WEBHOOK_SECRET || process.env.WEBHOOK_SECRET
             });
 
             this.log(`📤 [${runId}] Webhook notification sent: ${response.status}`);
@@ -273,6 +293,28 @@ class BackgroundMonitor {
         }
     }
 
+    startOutboxWorker() {
+        if (this.outboxTimer) {
+            return;
+        }
+
+        this.log(`🔁 Retrying queued webhook deliveries every ${this.outboxInterval / 1000}s`);
+        this.outboxTimer = setInterval(async () => {
+            try {
+                const summary = await processDueDeliveries({
+                    secret: config.WEBHOOK_SECRET,
+                    secrets: destinationSecrets(destinations),
+                    token: config.APIFY_TOKEN
+                });
+                if (summary.processed > 0) {
+                    this.log(`🔁 Retried ${summary.processed} webhook deliveries: ${summary.delivered} delivered, ${summary.failed} failed`);
+                }
+            } catch (error) {
+                this.log(`❌ Outbox retry failed: ${error.message}`, 'ERROR');
+            }
+        }, this.outboxInterval);
+    }
+
     sleep(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
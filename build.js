@@ -9,9 +9,8 @@ console.log('🔧 Building Apollo Scraper...');
 const indexPath = path.join(__dirname, 'index.html');
 let htmlContent = fs.readFileSync(indexPath, 'utf8');
 
-// Replace environment variable placeholders
+// Replace environment variable placeholders (never secrets - the HTML is public)
 const replacements = {
-    '{{APIFY_TOKEN}}': process.env.APIFY_TOKEN || '',
     '{{WEBHOOK_URL}}': process.env.WEBHOOK_URL || '',
     '{{APOLLO_ACTOR_ID}}': process.env.APOLLO_ACTOR_ID || 'bluecraftai~apollo-scraper'
 };
@@ -35,7 +34,7 @@ console.log('✅ Build completed!');
 console.log(`📁 Output: ${outputPath}`);
 
 // Copy other necessary files
-const filesToCopy = ['package.json', 'server.js', 'background-monitor.js', 'config.js'];
+const filesToCopy = ['package.json', 'server.js', 'background-monitor.js', 'retry-triggers.js', 'retry-webhooks.js', 'reconcile.js', 'config.js'];
 filesToCopy.forEach(file => {
     if (fs.existsSync(file)) {
         fs.copyFileSync(file, path.join(buildDir, file));
@@ -43,17 +42,28 @@ filesToCopy.forEach(file => {
     }
 });
 
-// Copy api directory
-const apiDir = path.join(__dirname, 'api');
-const buildApiDir = path.join(buildDir, 'api');
-if (fs.existsSync(apiDir)) {
-    if (!fs.existsSync(buildApiDir)) {
-        fs.mkdirSync(buildApiDir);
+// Copy api directory (including nested routes such as api/orders)
+copyDirectory(path.join(__dirname, 'api'), path.join(buildDir, 'api'));
+
+// Copy shared server modules used by the api handlers
+copyDirectory(path.join(__dirname, 'lib'), path.join(buildDir, 'lib'));
+
+function copyDirectory(source, target) {
+    if (!fs.existsSync(source)) {
+        return;
+    }
+    if (!fs.existsSync(target)) {
+        fs.mkdirSync(target, { recursive: true });
     }
-    const apiFiles = fs.readdirSync(apiDir);
-    apiFiles.forEach(file => {
-        fs.copyFileSync(path.join(apiDir, file), path.join(buildApiDir, file));
-        console.log(`📋 Copied: api/${file}`);
+    fs.readdirSync(source, { withFileTypes: true }).forEach(entry => {
+        const sourcePath = path.join(source, entry.name);
+        const targetPath = path.join(target, entry.name);
+        if (entry.isDirectory()) {
+            copyDirectory(sourcePath, targetPath);
+        } else {
+            fs.copyFileSync(sourcePath, targetPath);
+            console.log(`📋 Copied: ${path.relative(__dirname, sourcePath)}`);
+        }
     });
 }
 
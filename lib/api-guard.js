@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const { openStore, updateRecord } = require('./store');
+
+/**
+ * Shared request guards for the Vercel handlers and the Express servers:
+ * CORS origin allowlist plus per-IP and per-email rate limits.
+ *
+ * ALLOWED_ORIGINS              - comma-separated origins, or * (default)
+ * RATE_LIMIT_PER_MINUTE        - default per-IP limit (10)
+ * RATE_LIMIT_EMAIL_PER_MINUTE  - default per-email limit (5)
+ * TRUST_PROXY                  - true when behind a reverse proxy that appends to X-Forwarded-For
+ *                                (not needed on Vercel, whose edge sets X-Real-IP)
+ */
+function getSecuritySettings() {
+    return {
+        allowedOrigins: (process.env.ALLOWED_ORIGINS || '*').split(',').map(origin => origin.trim()).filter(Boolean),
+        rateLimitPerMinute: parseInt(process.env.RATE_LIMIT_PER_MINUTE) || 10,
+        emailRateLimitPerMinute: parseInt(process.env.RATE_LIMIT_EMAIL_PER_MINUTE) || 5
+    };
+}
+
+const WINDOW_MS = 60000;
+
+function sendError(res, status, code, message, extra = {}) {
+    return res.status(status).json({ error: message, code, ...extra });
+}
+
+/**
+ * The client address used for per-IP limits. Forwarding headers are client-controlled
+ * unless a proxy we run sets them, so they are only read on Vercel or with TRUST_PROXY;
+ * the last X-Forwarded-For hop is the one our proxy appended.
+ */
+function getClientIp(req) {
+    if (process.env.VERCEL || process.env.TRUST_PROXY === 'true') {
+        const forwarded = req.headers['x-forwarded-for'];
+        const lastHop = forwarded ? forwarded.split(',').pop().trim() : '';
+        const proxied = (process.env.VERCEL && req.headers['x-real-ip']) || lastHop;
+        if (proxied) {
+            return proxied;
+        }
+    }
+    return req.socket?.remoteAddress || 'unknown';
+}
+
+function isOriginAllowed(origin, allowedOrigins) {
+    return allowedOrigins.includes('*') || allowedOrigins.includes(origin);
+}
+
+let lastPrunedAt = 0;
+
+/**
+ * Drop records whose window has ended, at most once a window per instance, so the
+ * store does not keep one record per IP and email ever seen
+ */
+async function pruneExpiredWindows(store, now) {
+    if (now - lastPrunedAt < WINDOW_MS) {
+        return;
+    }
+    lastPrunedAt = now;
+
+    const records = await store.list();
+    for (const record of records) {
+        if (record.id && now - record.windowStart >= WINDOW_MS) {
+            await store.remove(record.id);
+        }
+    }
+}
+
+/**
+ * Count a hit against a fixed one-minute window. Returns seconds until the window
+ * resets when the limit is exceeded, otherwise 0.
+ */
+async function consumeRateLimit(scope, key, limit) {
+    const store = openStore('rate-limits');
+    const id = `${scope}:${key}`;
+    const now = Date.now();
+
+    await pruneExpiredWindows(store, now);
+
+    // Concurrent hits are counted with a compare-and-swap, so none of them is lost
+    const { windowStart, count } = await updateRecord(store, id, current => (
+        current && now - current.windowStart < WINDOW_MS
+            ? { ...current, count: current.count + 1 }
+            : { id, windowStart: now, count: 1 }
+    ));
+
+    if (count > limit) {
+        return Math.ceil((windowStart + WINDOW_MS - now) / 1000);
+    }
+    return 0;
+}
+
+/**
+ * Apply CORS, origin and rate-limit checks. Returns true if the request may continue;
+ * otherwise the response has already been sent.
+ *
+ * Options:
+ *   name        - rate-limit bucket, usually the route (default: request path)
+ *   methods     - methods to advertise for CORS preflight
+ *   limit       - per-IP requests per minute (default RATE_LIMIT_PER_MINUTE)
+ *   emailLimit  - per-email requests per minute (default RATE_LIMIT_EMAIL_PER_MINUTE)
+ *   getEmail    - req => email to rate-limit on, if any
+ */
+async function guardRequest(req, res, options = {}) {
+    const settings = getSecuritySettings();
+    const origin = req.headers.origin;
+    const name = options.name || (req.url || '').split('?')[0];
+
+    // Requests without an Origin header are same-origin or server-to-server
+    if (origin && !isOriginAllowed(origin, settings.allowedOrigins)) {
+        console.log(`🚫 Origin ${origin} not allowed for ${name}`);
+        sendError(res, 403, 'ORIGIN_NOT_ALLOWED', 'Origin not allowed');
+        return false;
+    }
+
+    if (origin) {
+        res.setHeader('Access-Control-Allow-Origin', settings.allowedOrigins.includes('*') ? '*' : origin);
+        res.setHeader('Vary', 'Origin');
+        res.setHeader('Access-Control-Allow-Methods', (options.methods || ['GET', 'POST']).concat('OPTIONS').join(', '));
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    }
+
+    if (req.method === 'OPTIONS') {
+        res.status(204).end();
+        return false;
+    }
+
+    try {
+        const ipRetryAfter = await consumeRateLimit(`${name}:ip`, getClientIp(req), options.limit || settings.rateLimitPerMinute);
+        if (ipRetryAfter) {
+            return rejectRateLimited(res, name, 'ip', ipRetryAfter);
+        }
+
+        const email = options.getEmail ? options.getEmail(req) : null;
+        if (email) {
+            const emailRetryAfter = await consumeRateLimit(`${name}:email`, String(email).trim().toLowerCase(),
+                options.emailLimit || settings.emailRateLimitPerMinute);
+            if (emailRetryAfter) {
+                return rejectRateLimited(res, name, 'email', emailRetryAfter);
+            }
+        }
+    } catch (error) {
+        // A broken rate-limit store should not take the API down with it
+        console.error(`⚠️ Rate limit check failed for ${name}:`, error.message);
+    }
+
+    return true;
+}
+
+function rejectRateLimited(res, name, scope, retryAfter) {
+    console.log(`🚫 Rate limit exceeded for ${name} (${scope}), retry in ${retryAfter}s`);
+    res.setHeader('Retry-After', retryAfter.toString());
+    sendError(res, 429, 'RATE_LIMITED', 'Too many requests. Please wait a moment and try again.', { retryAfter });
+    return false;
+}
+
+function matchesToken(provided, token) {
+    if (!token) {
+        return false;
+    }
+    const expected = Buffer.from(token);
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+/**
+ * Operator endpoints require `Authorization: Bearer <ADMIN_API_TOKEN>`. Returns true
+ * if the request may continue; otherwise the response has already been sent.
+ *
+ * With `allowCron`, Vercel Cron's `Authorization: Bearer <CRON_SECRET>` is accepted too.
+ */
+function requireAdmin(req, res, { allowCron = false } = {}) {
+    const adminToken = process.env.ADMIN_API_TOKEN;
+    const cronSecret = allowCron ? process.env.CRON_SECRET : null;
+    if (!adminToken && !cronSecret) {
+        sendError(res, 503, 'ADMIN_DISABLED', 'Operator endpoints are not configured');
+        return false;
+    }
+
+    const provided = Buffer.from((req.headers.authorization || '').replace(/^Bearer\s+/i, ''));
+    if (!matchesToken(provided, adminToken) && !matchesToken(provided, cronSecret)) {
+        sendError(res, 401, 'UNAUTHORIZED', 'Invalid operator token');
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Express middleware wrapper around guardRequest
+ */
+function expressGuard(options = {}) {
+    return (req, res, next) => {
+        guardRequest(req, res, options)
+            .then(allowed => {
+                if (allowed) {
+                    next();
+                }
+            })
+            .catch(next);
+    };
+}
+
+module.exports = { getSecuritySettings, guardRequest, requireAdmin, expressGuard, getClientIp };
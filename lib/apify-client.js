@@ -0,0 +1,49 @@
+const { getServerConfig } = require('./config');
+
+/**
+ * Minimal Apify API client for the server-side handlers
+ */
+const APIFY_API_BASE = 'https://api.apify.com/v2';
+
+async function apifyRequest(pathname, options = {}) {
+    const separator = pathname.includes('?') ? '&' : '?';
+    const response = await fetch(`${APIFY_API_BASE}${pathname}${separator}token=${getServerConfig().apifyToken}`, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Accept': 'application/json',
+            ...(options.headers || {})
+        }
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Apify API call failed: ${response.status} ${response.statusText} - ${errorText}`);
+    }
+
+    const result = await response.json();
+    return result.data || result;
+}
+
+/**
+ * Get an actor run (status, stats, defaultDatasetId, ...)
+ */
+async function getRun(runId) {
+    return apifyRequest(`/actor-runs/${encodeURIComponent(runId)}`);
+}
+
+/**
+ * Get dataset info, including itemCount
+ */
+async function getDataset(datasetId) {
+    return apifyRequest(`/datasets/${encodeURIComponent(datasetId)}`);
+}
+
+/**
+ * Abort a running actor run
+ */
+async function abortRun(runId) {
+    return apifyRequest(`/actor-runs/${encodeURIComponent(runId)}/abort`, { method: 'POST' });
+}
+
+module.exports = { APIFY_API_BASE, apifyRequest, getRun, getDataset, abortRun };
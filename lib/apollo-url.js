@@ -0,0 +1,212 @@
+/**
+ * Apollo search URL parser and validator - shared by checkout, the Stripe webhook and the actor
+ *
+ * Apollo keeps the search in the hash, e.g.
+ * https://app.apollo.io/#/people?personTitles[]=vp%20sales&personLocations[]=United%20States&page=1
+ */
+const APOLLO_URL_ERRORS = {
+    MISSING: 'APOLLO_URL_MISSING',
+    INVALID_CHARACTERS: 'APOLLO_URL_INVALID_CHARACTERS',
+    INVALID_FORMAT: 'APOLLO_URL_INVALID_FORMAT',
+    NOT_APOLLO: 'APOLLO_URL_NOT_APOLLO',
+    NOT_PEOPLE_SEARCH: 'APOLLO_URL_NOT_PEOPLE_SEARCH',
+    TRUNCATED: 'APOLLO_URL_TRUNCATED'
+};
+
+class ApolloUrlError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'ApolloUrlError';
+        this.code = code;
+    }
+}
+
+// Hash parameters mapped to structured filter names
+const LIST_FILTERS = {
+    'personTitles[]': 'titles',
+    'personNotTitles[]': 'excludedTitles',
+    'personSeniorities[]': 'seniorities',
+    'personLocations[]': 'locations',
+    'personNotLocations[]': 'excludedLocations',
+    'organizationLocations[]': 'organizationLocations',
+    'organizationIndustryTagIds[]': 'industries',
+    'organizationNotIndustryTagIds[]': 'excludedIndustries',
+    'qOrganizationKeywordTags[]': 'organizationKeywords',
+    'contactEmailStatusV2[]': 'emailStatuses'
+};
+
+// Parameters that control paging/sorting rather than who is in the search
+const NON_FILTER_PARAMS = ['page', 'sortByField', 'sortAscending', 'finderViewId', 'uniqueUrlId', 'prospectedByCurrentTeam[]'];
+
+/**
+ * Parse an employee range such as "51,200" (Apollo's format) or "10001," (open-ended)
+ */
+function parseEmployeeRange(value) {
+    const [min, max] = value.split(',').map(part => part.trim());
+    const range = {
+        min: min ? parseInt(min) : null,
+        max: max ? parseInt(max) : null
+    };
+    range.label = range.max === null ? `${range.min}+` : `${range.min ?? 1}-${range.max}`;
+    return range;
+}
+
+function hasTruncationMarker(url) {
+    return url.endsWith('%') ||
+        url.endsWith('&') ||
+        url.endsWith('=') ||
+        url.endsWith('...') ||
+        /%[0-9A-Fa-f]$/.test(url);
+}
+
+/**
+ * Validate an Apollo people search URL and parse its filters.
+ * Throws ApolloUrlError with one of APOLLO_URL_ERRORS as `code`.
+ */
+function parseApolloUrl(rawUrl) {
+    if (!rawUrl || typeof rawUrl !== 'string' || !rawUrl.trim()) {
+        throw new ApolloUrlError(APOLLO_URL_ERRORS.MISSING, 'Apollo URL is required');
+    }
+
+    const url = rawUrl.trim();
+
+    if (/[^\x20-\x7E]/.test(url)) {
+        throw new ApolloUrlError(APOLLO_URL_ERRORS.INVALID_CHARACTERS,
+            'URL contains invalid characters. Please copy the URL directly from Apollo without modifications.');
+    }
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw new ApolloUrlError(APOLLO_URL_ERRORS.INVALID_FORMAT,
+            'Invalid URL format. Please copy the complete URL from your browser address bar.');
+    }
+
+    if (parsed.hostname !== 'apollo.io' && !parsed.hostname.endsWith('.apollo.io')) {
+        throw new ApolloUrlError(APOLLO_URL_ERRORS.NOT_APOLLO, 'Please provide a valid Apollo.io search URL');
+    }
+
+    if (!parsed.hash.startsWith('#/people')) {
+        throw new ApolloUrlError(APOLLO_URL_ERRORS.NOT_PEOPLE_SEARCH,
+            'Please use an Apollo people search URL (should contain #/people)');
+    }
+
+    if (hasTruncationMarker(url)) {
+        throw new ApolloUrlError(APOLLO_URL_ERRORS.TRUNCATED,
+            'URL appears to be truncated. Please copy the complete URL from Apollo.');
+    }
+
+    const queryPart = parsed.hash.includes('?') ? parsed.hash.slice(parsed.hash.indexOf('?') + 1) : '';
+
+    // Broken percent-encoding anywhere in the query means the URL was cut or mangled
+    try {
+        decodeURIComponent(queryPart);
+    } catch (error) {
+        throw new ApolloUrlError(APOLLO_URL_ERRORS.TRUNCATED,
+            'URL appears to be truncated. Please copy the complete URL from Apollo.');
+    }
+
+    const params = new URLSearchParams(queryPart);
+    const filters = {
+        titles: [],
+        excludedTitles: [],
+        seniorities: [],
+        locations: [],
+        excludedLocations: [],
+        organizationLocations: [],
+        industries: [],
+        excludedIndustries: [],
+        organizationKeywords: [],
+        emailStatuses: [],
+        employeeRanges: [],
+        keywords: params.get('qKeywords') || null,
+        other: {}
+    };
+
+    for (const key of new Set(params.keys())) {
+        const values = params.getAll(key).filter(value => value !== '');
+
+        if (LIST_FILTERS[key]) {
+            filters[LIST_FILTERS[key]] = values;
+        } else if (key === 'organizationNumEmployeesRanges[]') {
+            filters.employeeRanges = values.map(parseEmployeeRange);
+        } else if (key !== 'qKeywords' && !NON_FILTER_PARAMS.includes(key)) {
+            filters.other[key] = values;
+        }
+    }
+
+    return { url, filters };
+}
+
+const TITLE_ACRONYMS = ['vp', 'svp', 'evp', 'avp', 'ceo', 'cto', 'cfo', 'coo', 'cmo', 'cro', 'hr', 'it'];
+const TITLE_SMALL_WORDS = ['of', 'and', 'for', 'the', 'in', 'to', 'at'];
+
+// Apollo stores titles lower-case: "vp sales" -> "VP Sales", "head of sales" -> "Head of Sales"
+function titleCase(value) {
+    return value.split(' ').map((word, index) => {
+        const lower = word.toLowerCase();
+        if (TITLE_ACRONYMS.includes(lower)) {
+            return lower.toUpperCase();
+        }
+        if (index > 0 && TITLE_SMALL_WORDS.includes(lower)) {
+            return lower;
+        }
+        return lower.charAt(0).toUpperCase() + lower.slice(1);
+    }).join(' ');
+}
+
+function listSummary(values, maxItems = 3) {
+    if (values.length <= maxItems) {
+        return values.join(', ');
+    }
+    return `${values.slice(0, maxItems).join(', ')} +${values.length - maxItems} more`;
+}
+
+/**
+ * Human-readable summary of parsed filters, e.g.
+ * "VP Sales, Head of Sales · United States, Canada · 51-200 employees"
+ */
+function summarizeFilters(filters) {
+    const parts = [];
+
+    if (filters.titles.length > 0) {
+        parts.push(listSummary(filters.titles.map(titleCase)));
+    }
+    if (filters.seniorities.length > 0) {
+        parts.push(listSummary(filters.seniorities.map(titleCase)));
+    }
+    if (filters.locations.length > 0) {
+        parts.push(listSummary(filters.locations));
+    }
+    if (filters.organizationLocations.length > 0) {
+        parts.push(`Companies in ${listSummary(filters.organizationLocations)}`);
+    }
+    if (filters.employeeRanges.length > 0) {
+        parts.push(`${listSummary(filters.employeeRanges.map(range => range.label))} employees`);
+    }
+    if (filters.industries.length > 0) {
+        // Industries are Apollo tag IDs, so only the count is meaningful here
+        parts.push(`${filters.industries.length} ${filters.industries.length === 1 ? 'industry' : 'industries'}`);
+    }
+    if (filters.organizationKeywords.length > 0) {
+        parts.push(`Company keywords: ${listSummary(filters.organizationKeywords)}`);
+    }
+    if (filters.keywords) {
+        parts.push(`Keywords: "${filters.keywords}"`);
+    }
+    if (filters.emailStatuses.length > 0) {
+        parts.push(`Email: ${listSummary(filters.emailStatuses)}`);
+    }
+
+    return parts.length > 0 ? parts.join(' · ') : 'All people (no filters)';
+}
+
+/**
+ * Validate an Apollo URL and return it trimmed - for callers that only need a yes/no
+ */
+function validateApolloUrl(rawUrl) {
+    return parseApolloUrl(rawUrl).url;
+}
+
+module.exports = { APOLLO_URL_ERRORS, ApolloUrlError, parseApolloUrl, validateApolloUrl, summarizeFilters };
@@ -0,0 +1,248 @@
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const {
+    ORDER_STATUS,
+    getOrder,
+    updateOrderStatus,
+    markOrderFailed,
+    isOrderProcessed,
+    isOrderClosed
+} = require('./order-repository');
+const { fulfillOrder, postEmailWebhook } = require('./fulfillment');
+const { enqueueTrigger } = require('./trigger-queue');
+const { runOnce } = require('./event-ledger');
+const { verifyPaidOrder } = require('./order-digest');
+const { purchaseCredits, createWalletKey } = require('./credits');
+const { getSubscription, createSubscription } = require('./subscriptions');
+const { parseQualityFilter } = require('./lead-quality');
+
+/**
+ * Paid checkout sessions - shared by the Stripe webhook and the reconciliation job,
+ * so a session found later is started exactly the way the webhook would have started it.
+ */
+
+/**
+ * Rebuild order details from Stripe metadata when the order record is missing
+ */
+function orderFromMetadata(session) {
+    // Fallback to metadata - try to reconstruct from chunks first, then use truncated
+    const { leads, apolloUrl, email, cleanOutput, dedupe, emailStatuses, minScore, urlChunkCount, promoCode, bonusLeads, amount, discountAmount } = session.metadata;
+    if (!leads || !email) {
+        return null;
+    }
+    
+    let fullApolloUrl = apolloUrl; // Default to truncated
+    
+    if (urlChunkCount) {
+        try {
+            const chunkCount = parseInt(urlChunkCount);
+            console.log(`🔍 Reconstructing URL from ${chunkCount} chunks`);
+            
+            // Reconstruct base64 from chunks
+            let reconstructedBase64 = '';
+            for (let i = 0; i < chunkCount; i++) {
+                const chunkKey = `urlChunk${i}`;
+                const chunk = session.metadata[chunkKey];
+                if (chunk) {
+                    reconstructedBase64 += chunk;
+                } else {
+                    throw new Error(`Missing chunk ${i}`);
+                }
+            }
+            
+            // Decode from base64
+            fullApolloUrl = Buffer.from(reconstructedBase64, 'base64').toString();
+            console.log(`✅ Reconstructed full Apollo URL from ${chunkCount} chunks (${fullApolloUrl.length} characters)`);
+        } catch (decodeError) {
+            console.log('⚠️ Failed to reconstruct URL from chunks, using truncated version:', decodeError.message);
+        }
+    } else {
+        console.log('⚠️ No URL chunks found, using truncated URL from metadata as fallback');
+    }
+    
+    return {
+        apolloUrl: fullApolloUrl,
+        email,
+        leads: parseInt(leads),
+        cleanOutput: cleanOutput === 'true',
+        dedupe: dedupe === 'true',
+        qualityFilter: parseQualityFilter({ emailStatuses, minScore }),
+        billingInterval: session.metadata.billingInterval || 'once',
+        orderId: session.metadata.orderId || null,
+        promoCode: promoCode || null,
+        bonusLeads: parseInt(bonusLeads) || 0,
+        amount: parseInt(amount),
+        discountAmount: parseInt(discountAmount) || 0
+    };
+}
+
+/**
+ * Refuse to scrape an order whose details or amount paid do not match what was priced
+ * at checkout. Returns false (and fails the order) if the check does not pass.
+ */
+async function checkOrderIntegrity(orderKey, order, session, amountPaid) {
+    try {
+        verifyPaidOrder(order, session.metadata?.orderDigest || order.orderDigest, amountPaid);
+        return true;
+    } catch (error) {
+        if (error.code !== 'ORDER_INTEGRITY') {
+            throw error;
+        }
+        console.error(`🚨 Order ${orderKey} failed integrity check, not scraping: ${error.message}`);
+        await markOrderFailed(orderKey, error, { errorCode: error.code });
+        return false;
+    }
+}
+
+async function handleSuccessfulPayment(session) {
+    try {
+        console.log('Processing successful payment:', session.id);
+
+        const isCreditPurchase = session.metadata?.purchaseType === 'credits';
+
+        // Delayed payment methods (bank debits) complete checkout before the money arrives;
+        // checkout.session.async_payment_succeeded starts the order (or adds the credits) later
+        if (session.payment_status === 'unpaid') {
+            if (!isCreditPurchase) {
+                await updateOrderStatus(session.id, ORDER_STATUS.PAYMENT_PENDING);
+            }
+            console.log(`⏳ Session ${session.id} is awaiting a delayed payment`);
+            return;
+        }
+
+        if (isCreditPurchase) {
+            await handleCreditPurchase(session);
+            return;
+        }
+
+        // Subscription runs are started by invoice.paid, once per billing cycle
+        if (session.mode === 'subscription') {
+            await resolveSubscription(session.subscription, session);
+            console.log(`🔁 Subscription checkout ${session.id} linked to ${session.subscription}`);
+            return;
+        }
+        
+        // Check if the session has already been processed
+        let order = await getOrder(session.id);
+        if (isOrderProcessed(order)) {
+            console.log(`⚠️ Session ${session.id} has already been processed`);
+            return;
+        }
+
+        if (isOrderClosed(order)) {
+            console.log(`⚠️ Session ${session.id} is ${order.status}, not starting a scrape`);
+            return;
+        }
+        
+        if (!order) {
+            console.error('No stored order found for session:', session.id);
+            order = orderFromMetadata(session);
+            if (!order) {
+                console.error('Missing required metadata in session:', session.id);
+                return;
+            }
+        } else {
+            console.log(`Retrieved full Apollo URL (${order.apolloUrl.length} characters) for session ${session.id}`);
+        }
+
+        if (!(await checkOrderIntegrity(session.id, order, session, session.amount_total))) {
+            return;
+        }
+
+        // Different events (completed, async_payment_succeeded) can start the same session
+        const { claimed } = await runOnce(`session:${session.id}`, async () => {
+            try {
+                await fulfillOrder(session.id, order, session.amount_total);
+            } catch (triggerError) {
+                // Stripe already got paid - keep the order and retry the trigger later
+                await enqueueTrigger(session.id, order, session.amount_total, {}, triggerError);
+            }
+        });
+
+        if (!claimed) {
+            console.log(`⚠️ Session ${session.id} is already being processed`);
+        }
+
+    } catch (error) {
+        console.error('Error processing successful payment:', error);
+        throw error;
+    }
+}
+
+/**
+ * Add purchased credits to the customer's wallet and send them their wallet key
+ */
+async function handleCreditPurchase(session) {
+    const { email, credits, packId } = session.metadata;
+
+    const entry = await purchaseCredits(email, parseInt(credits), session.id, {
+        packId: packId,
+        amountPaid: session.amount_total
+    });
+
+    let walletKey = null;
+    try {
+        walletKey = createWalletKey(email);
+    } catch (error) {
+        console.error('❌ Cannot issue wallet key:', error.message);
+    }
+
+    await postEmailWebhook({
+        type: 'credit-purchase',
+        email: email,
+        credits: parseInt(credits),
+        balance: entry.balanceAfter,
+        walletKey: walletKey,
+        timestamp: new Date().toISOString(),
+        service: 'apollo-scraper',
+        source: 'stripe-payment'
+    });
+
+    console.log(`💳 Credit purchase ${session.id} processed for ${email}`);
+}
+
+/**
+ * Find our subscription record, creating it from the originating checkout session
+ * if this is the first event we see for it (invoice.paid can arrive before checkout.session.completed)
+ */
+async function resolveSubscription(subscriptionId, session = null) {
+    const existing = await getSubscription(subscriptionId);
+    if (existing) {
+        return existing;
+    }
+
+    if (!session) {
+        const sessions = await stripe.checkout.sessions.list({ subscription: subscriptionId, limit: 1 });
+        session = sessions.data[0];
+        if (!session) {
+            console.error(`❌ No checkout session found for subscription ${subscriptionId}`);
+            return null;
+        }
+    }
+
+    const order = (await getOrder(session.id)) || orderFromMetadata(session);
+    if (!order) {
+        console.error(`❌ Missing order details for subscription ${subscriptionId}`);
+        return null;
+    }
+
+    // Every cycle re-runs this order, so check it once before the subscription is recorded
+    if (!(await checkOrderIntegrity(session.id, order, session, session.amount_total))) {
+        return null;
+    }
+
+    return createSubscription(subscriptionId, {
+        sessionId: session.id,
+        customerId: session.customer,
+        email: order.email,
+        apolloUrl: order.apolloUrl,
+        searchSummary: order.searchSummary || null,
+        leads: order.leads,
+        cleanOutput: order.cleanOutput,
+        dedupe: !!order.dedupe,
+        qualityFilter: order.qualityFilter || null,
+        interval: order.billingInterval || session.metadata.billingInterval,
+        baseUrl: order.baseUrl || null
+    });
+}
+
+module.exports = { handleSuccessfulPayment, resolveSubscription, orderFromMetadata };
@@ -0,0 +1,45 @@
+const { describePricing } = require('./pricing');
+const { getSecuritySettings } = require('./api-guard');
+
+/**
+ * Configuration is split in two:
+ *
+ *   getPublicConfig() - safe to send to any browser (pricing, limits, feature flags)
+ *   getServerConfig() - secrets for the server-side handlers only; never return this
+ *                       from an API route
+ *
+ * Browser features that need Apify or the email webhook go through server endpoints
+ * (/api/orders/:sessionId, /api/create-checkout-session, ...) which do their own checks.
+ */
+function getServerConfig() {
+    return {
+        apifyToken: process.env.APIFY_TOKEN || '',
+        apolloActorId: process.env.APOLLO_ACTOR_ID || '',
+        emailWebhookUrl: process.env.EMAIL_WEBHOOK_URL || ''
+    };
+}
+
+function getPublicConfig() {
+    const pricing = describePricing();
+    const security = getSecuritySettings();
+
+    return {
+        DEFAULT_SETTINGS: {
+            minLeads: pricing.minLeads,
+            maxLeads: pricing.maxLeads,
+            defaultLeads: pricing.minLeads
+        },
+        PRICING: pricing,
+        FEATURES: {
+            promoCodes: !!process.env.PROMO_CODES,
+            subscriptions: !!process.env.SUBSCRIPTION_MANAGE_SECRET,
+            credits: !!process.env.CREDIT_WALLET_SECRET
+        },
+        SECURITY: {
+            allowedOrigins: security.allowedOrigins,
+            rateLimitPerMinute: security.rateLimitPerMinute
+        }
+    };
+}
+
+module.exports = { getPublicConfig, getServerConfig };
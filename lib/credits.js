@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const { openStore, updateRecord } = require('./store');
+
+/**
+ * Prepaid lead-credit wallet - one ledger per customer email.
+ *
+ * Entry types:
+ *   purchase - credits bought through Stripe (+)
+ *   debit    - credits spent on an order (-)
+ *   refund   - credits returned for an order that could not run (+)
+ * Every entry records the balance after it was applied. A wallet is written with a
+ * compare-and-swap, so concurrent entries for the same customer never overwrite each other.
+ */
+const ENTRY_TYPES = {
+    PURCHASE: 'purchase',
+    DEBIT: 'debit',
+    REFUND: 'refund'
+};
+
+/**
+ * Credit packs on sale. Override with a CREDIT_PACKS JSON env var, e.g.
+ * [{"id":"pack_100k","credits":100000,"amount":35000}]
+ */
+const DEFAULT_CREDIT_PACKS = [
+    { id: 'pack_25k', credits: 25000, amount: 10000 },   // $100, $0.0040 per lead
+    { id: 'pack_100k', credits: 100000, amount: 35000 }  // $350, $0.0035 per lead
+];
+
+function getCreditPacks() {
+    if (!process.env.CREDIT_PACKS) {
+        return DEFAULT_CREDIT_PACKS;
+    }
+
+    try {
+        return JSON.parse(process.env.CREDIT_PACKS);
+    } catch (error) {
+        console.error('❌ Invalid CREDIT_PACKS, using default packs:', error.message);
+        return DEFAULT_CREDIT_PACKS;
+    }
+}
+
+function getCreditPack(packId) {
+    return getCreditPacks().find(pack => pack.id === packId) || null;
+}
+
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+function walletsStore() {
+    return openStore('credit-wallets');
+}
+
+function reviewsStore() {
+    return openStore('credit-reviews');
+}
+
+function emptyWallet(id) {
+    return { email: id, balance: 0, entries: [] };
+}
+
+async function getWallet(email) {
+    const id = normalizeEmail(email);
+    return (await walletsStore().get(id)) || emptyWallet(id);
+}
+
+async function getBalance(email) {
+    return (await getWallet(email)).balance;
+}
+
+/**
+ * Append an entry to a customer's ledger. `reference` (a Stripe session or order ID)
+ * makes the entry idempotent - the same type and reference is only applied once.
+ */
+async function addEntry(email, type, credits, reference, details = {}) {
+    const id = normalizeEmail(email);
+    let entry;
+    let duplicate;
+
+    // Re-run against the latest wallet if another entry lands in between
+    await updateRecord(walletsStore(), id, current => {
+        const wallet = current || emptyWallet(id);
+
+        duplicate = wallet.entries.find(existing => existing.type === type && existing.reference === reference);
+        if (duplicate) {
+            return undefined;
+        }
+
+        const delta = type === ENTRY_TYPES.DEBIT ? -credits : credits;
+        if (wallet.balance + delta < 0) {
+            const error = new Error(`Insufficient credits: ${wallet.balance.toLocaleString()} available, ${credits.toLocaleString()} needed`);
+            error.code = 'INSUFFICIENT_CREDITS';
+            error.balance = wallet.balance;
+            throw error;
+        }
+
+        entry = {
+            type,
+            credits,
+            reference,
+            balanceAfter: wallet.balance + delta,
+            at: new Date().toISOString(),
+            ...details
+        };
+
+        return {
+            ...wallet,
+            balance: entry.balanceAfter,
+            entries: [...wallet.entries, entry],
+            updatedAt: entry.at
+        };
+    });
+
+    if (duplicate) {
+        console.log(`⚠️ Credit ${type} for ${reference} already recorded`);
+        return duplicate;
+    }
+
+    console.log(`💳 Credits ${type} ${credits} for ${id} (${reference}) - balance ${entry.balanceAfter}`);
+    return entry;
+}
+
+async function purchaseCredits(email, credits, reference, details) {
+    return addEntry(email, ENTRY_TYPES.PURCHASE, credits, reference, details);
+}
+
+async function debitCredits(email, credits, reference, details) {
+    return addEntry(email, ENTRY_TYPES.DEBIT, credits, reference, details);
+}
+
+async function refundCredits(email, credits, reference, details) {
+    return addEntry(email, ENTRY_TYPES.REFUND, credits, reference, details);
+}
+
+/**
+ * Credits that could not be taken back automatically (usually because they were already
+ * spent) are kept for an operator to settle by hand. One review per reference.
+ */
+async function recordCreditReview(email, reference, details = {}) {
+    const review = {
+        email: normalizeEmail(email),
+        reference,
+        ...details,
+        createdAt: new Date().toISOString()
+    };
+
+    if (!await reviewsStore().insert(reference, review)) {
+        console.log(`⚠️ Credit review for ${reference} already recorded`);
+        return reviewsStore().get(reference);
+    }
+
+    console.log(`🔍 Credit review recorded for ${review.email} (${reference})`);
+    return review;
+}
+
+async function listCreditReviews() {
+    const reviews = await reviewsStore().list();
+    return reviews.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Spending credits needs a wallet key - an HMAC of the email sent to the customer
+ * after their first purchase - so knowing an email address is not enough.
+ */
+function createWalletKey(email) {
+    const secret = process.env.CREDIT_WALLET_SECRET;
+    if (!secret) {
+        throw new Error('CREDIT_WALLET_SECRET is not configured');
+    }
+    return crypto.createHmac('sha256', secret).update(normalizeEmail(email)).digest('hex').substring(0, 32);
+}
+
+function verifyWalletKey(email, key) {
+    if (!key || typeof key !== 'string') {
+        return false;
+    }
+
+    const expected = Buffer.from(createWalletKey(email));
+    const provided = Buffer.from(key.trim());
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+module.exports = {
+    ENTRY_TYPES,
+    getCreditPacks,
+    getCreditPack,
+    getWallet,
+    getBalance,
+    purchaseCredits,
+    debitCredits,
+    refundCredits,
+    recordCreditReview,
+    listCreditReviews,
+    createWalletKey,
+    verifyWalletKey
+};
@@ -0,0 +1,102 @@
+const axios = require('axios');
+
+/**
+ * Paginated Apify dataset reader - pages through /datasets/{id}/items with offset/limit so
+ * large runs (up to 50,000 leads) never depend on one long request.
+ *
+ *   for await (const page of readDatasetPages(datasetId, { token })) { ... }   // arrays of items
+ *   const count = await countDatasetItems(datasetId, { token });
+ *
+ * Pages are meant to be handed on (to a webhook, a dataset) as they arrive, so memory stays
+ * bounded by the page size whatever the size of the run.
+ *
+ * Options:
+ *   token      - Apify API token
+ *   offset     - item to start reading at (default 0)
+ *   pageSize   - items per request (default 1000)
+ *   maxRetries - retries per page on network errors, 429 and 5xx (default 3)
+ *   timeout    - per-page request timeout in ms (default 30000)
+ *   onProgress - called after each page with { datasetId, fetched, total, page }
+ */
+const APIFY_API_BASE = 'https://api.apify.com/v2';
+const RETRY_BASE_DELAY = 1000;
+
+function isRetryable(error) {
+    if (!error.response) {
+        return true; // network error or timeout
+    }
+    return error.response.status === 429 || error.response.status >= 500;
+}
+
+async function fetchPage(datasetId, offset, { token, pageSize, maxRetries, timeout }) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const response = await axios.get(`${APIFY_API_BASE}/datasets/${encodeURIComponent(datasetId)}/items`, {
+                params: { token, offset, limit: pageSize, format: 'json' },
+                timeout
+            });
+
+            return {
+                items: response.data,
+                total: parseInt(response.headers['x-apify-pagination-total']) || null
+            };
+        } catch (error) {
+            if (attempt >= maxRetries || !isRetryable(error)) {
+                throw new Error(`Failed to read dataset ${datasetId} at offset ${offset}: ${error.message}`);
+            }
+
+            const delay = RETRY_BASE_DELAY * Math.pow(2, attempt);
+            console.log(`⚠️ Dataset ${datasetId} page at offset ${offset} failed (${error.message}), retrying in ${delay / 1000}s`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+function logProgress({ datasetId, fetched, total }) {
+    const percent = total ? ` (${Math.round(fetched / total * 100)}%)` : '';
+    console.log(`📦 Dataset ${datasetId}: ${fetched.toLocaleString()}${total ? ` of ${total.toLocaleString()}` : ''} items read${percent}`);
+}
+
+/**
+ * Yield the dataset one page (array of items) at a time
+ */
+async function* readDatasetPages(datasetId, options = {}) {
+    const settings = {
+        token: options.token,
+        pageSize: options.pageSize || 1000,
+        maxRetries: options.maxRetries ?? 3,
+        timeout: options.timeout || 30000
+    };
+    const onProgress = options.onProgress || logProgress;
+
+    let offset = options.offset || 0;
+    let page = 0;
+    for (;;) {
+        const { items, total } = await fetchPage(datasetId, offset, settings);
+        if (items.length === 0) {
+            return;
+        }
+
+        offset += items.length;
+        page++;
+        onProgress({ datasetId, fetched: offset, total, page });
+        yield items;
+
+        if (items.length < settings.pageSize || (total !== null && offset >= total)) {
+            return;
+        }
+    }
+}
+
+/**
+ * Number of items in a dataset, without reading them
+ */
+async function countDatasetItems(datasetId, { token, timeout = 30000 } = {}) {
+    const response = await axios.get(`${APIFY_API_BASE}/datasets/${encodeURIComponent(datasetId)}`, {
+        params: { token },
+        timeout
+    });
+    return response.data.data.itemCount;
+}
+
+module.exports = { readDatasetPages, countDatasetItems };
@@ -0,0 +1,227 @@
+const { openBatchedDelivery } = require('./webhook-delivery');
+const { compileFieldMapping, applyFieldMapping } = require('./field-mapping');
+const { filterByQuality, scoreHistogram, parseQualityFilter } = require('./lead-quality');
+
+/**
+ * Fan-out delivery - one run delivered to several webhooks, each shaped for its receiver:
+ *
+ *   [
+ *     { "name": "crm", "url": "https://crm.example.com/intake", "secretEnv": "CRM_WEBHOOK_SECRET",
+ *       "filter": { "emailStatuses": ["verified"] } },
+ *     { "name": "warehouse", "url": "https://dw.example.com/leads", "batchSize": 5000,
+ *       "fieldMapping": { "fields": ["id", "email", "organization.primary_domain"] } },
+ *     { "name": "notifier", "url": "https://hooks.example.com/T000/B000", "notifyOnly": true }
+ *   ]
+ *
+ * filter takes the same options as an order's quality filter (emailStatuses, minScore).
+ * secret (or secretEnv, the name of an environment variable holding it), batchSize and
+ * fieldMapping default to the run's own settings. notifyOnly destinations get the completion
+ * message with counts and quality scores, but no leads.
+ *
+ * Without a destinations list, the run's single webhook URL is used as "default".
+ */
+class DestinationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DestinationError';
+        this.code = 'INVALID_DESTINATION';
+    }
+}
+
+const DELIVERY_RESULT = {
+    DELIVERED: 'delivered',
+    QUEUED: 'queued',
+    FAILED: 'failed'
+};
+
+/**
+ * Validate a destinations list and fill in defaults (url, secret, batchSize, fieldMapping).
+ * Throws DestinationError.
+ */
+function resolveDestinations(destinations, defaults = {}) {
+    if (!Array.isArray(destinations) || destinations.length === 0) {
+        if (!defaults.url) {
+            throw new DestinationError('No webhook URL or destinations configured');
+        }
+        destinations = [{ name: 'default', url: defaults.url }];
+    }
+
+    const names = new Set();
+    return destinations.map((destination, index) => {
+        const name = destination.name || `destination-${index + 1}`;
+        if (names.has(name)) {
+            throw new DestinationError(`Destination "${name}" is listed more than once`);
+        }
+        names.add(name);
+
+        try {
+            new URL(destination.url);
+        } catch (error) {
+            throw new DestinationError(`Destination "${name}" has an invalid URL`);
+        }
+
+        const fieldMapping = destination.fieldMapping || defaults.fieldMapping || null;
+        if (fieldMapping) {
+            try {
+                compileFieldMapping(fieldMapping);
+            } catch (error) {
+                throw new DestinationError(`Destination "${name}": ${error.message}`);
+            }
+        }
+
+        return {
+            name,
+            url: destination.url,
+            secret: destination.secret || (destination.secretEnv && process.env[destination.secretEnv]) || defaults.secret || null,
+            batchSize: destination.batchSize || defaults.batchSize || null,
+            fieldMapping,
+            filter: parseQualityFilter(destination.filter || {}),
+            notifyOnly: destination.notifyOnly === true
+        };
+    });
+}
+
+/**
+ * Signing secrets by destination name, for retrying queued deliveries
+ */
+function destinationSecrets(destinations) {
+    return Object.fromEntries(destinations.map(destination => [destination.name, destination.secret]));
+}
+
+/**
+ * Apply a destination's filter and field mapping to leads.
+ * Returns { selected (filtered leads), items (as sent), removed }.
+ */
+function shapeLeads(leads, { filter, fieldMapping }) {
+    const { leads: selected, removed } = filter ? filterByQuality(leads, filter) : { leads, removed: 0 };
+    const items = fieldMapping ? applyFieldMapping(selected, fieldMapping) : selected;
+    return { selected, items, removed };
+}
+
+/**
+ * Open a streamed delivery to one destination: add(leads) filters, maps and sends them in
+ * batches as they come, finish(finalMetadata) sends the rest with the destination's counts
+ * and quality histogram. Throws if the destination rejects a request.
+ *
+ * Options: userAgent, deliveryId, itemCount, startBatch, onBatchSent - see openBatchedDelivery.
+ * itemCount only sets the batch count when the destination sends every lead unfiltered.
+ */
+function openDestinationDelivery(destination, metadata = {}, options = {}) {
+    const delivery = openBatchedDelivery(destination.url, {
+        ...metadata,
+        destination: destination.name,
+        fieldMapping: destination.fieldMapping
+    }, {
+        ...options,
+        itemCount: destination.filter || destination.notifyOnly ? null : options.itemCount,
+        batchSize: destination.batchSize,
+        secret: destination.secret
+    });
+    let records = 0;
+    let filteredOut = 0;
+    let histogram = scoreHistogram([]);
+
+    return {
+        deliveryId: delivery.deliveryId,
+
+        async add(leads) {
+            const { selected, items, removed } = shapeLeads(leads, destination);
+            records += items.length;
+            filteredOut += removed;
+            histogram = scoreHistogram(selected, histogram);
+
+            // notifyOnly destinations get the counts on "complete", but no leads
+            if (!destination.notifyOnly) {
+                await delivery.add(items);
+            }
+        },
+
+        async finish(finalMetadata = metadata) {
+            await delivery.finish({
+                ...finalMetadata,
+                destination: destination.name,
+                totalRecords: records,
+                filteredOut,
+                qualityHistogram: histogram,
+                fieldMapping: destination.fieldMapping
+            });
+            console.log(`📬 [${destination.name}] ${records} leads${filteredOut ? ` (${filteredOut} filtered out)` : ''}${destination.notifyOnly ? ', notification only' : ''}`);
+            return { deliveryId: delivery.deliveryId, records, filteredOut };
+        }
+    };
+}
+
+/**
+ * Stream pages of leads (any iterable or async iterable of arrays) to every destination in
+ * one pass, applying each one's filter and field mapping. One failing destination does not
+ * stop the others. `finalMetadata` is sent on each "complete" envelope (default `metadata`).
+ *
+ * Options: userAgent, itemCount (total leads in `pages`, when known up front),
+ * finalMetadata (or a function returning it, called after the last page)
+ *
+ * Returns [{ name, status, records, filteredOut, deliveryId, error }]
+ */
+async function streamToDestinations(destinations, pages, metadata = {}, options = {}) {
+    const streams = destinations.map(destination => ({
+        destination,
+        delivery: openDestinationDelivery(destination, metadata, { userAgent: options.userAgent, itemCount: options.itemCount }),
+        result: null
+    }));
+
+    function fail(stream, error) {
+        console.error(`❌ [${stream.destination.name}] Delivery failed: ${error.message}`);
+        stream.result = { status: DELIVERY_RESULT.FAILED, records: 0, filteredOut: 0, error: error.message };
+    }
+
+    for await (const leads of pages) {
+        for (const stream of streams) {
+            if (stream.result) {
+                continue;
+            }
+            try {
+                await stream.delivery.add(leads);
+            } catch (error) {
+                fail(stream, error);
+            }
+        }
+    }
+
+    const finalMetadata = typeof options.finalMetadata === 'function' ? options.finalMetadata() : options.finalMetadata || metadata;
+    for (const stream of streams) {
+        if (stream.result) {
+            continue;
+        }
+        try {
+            const { records, filteredOut } = await stream.delivery.finish(finalMetadata);
+            stream.result = { status: DELIVERY_RESULT.DELIVERED, records, filteredOut, error: null };
+        } catch (error) {
+            fail(stream, error);
+        }
+    }
+
+    return streams.map(({ destination, delivery, result }) => ({
+        name: destination.name,
+        status: result.status,
+        records: result.records,
+        filteredOut: result.filteredOut,
+        deliveryId: delivery.deliveryId,
+        error: result.error
+    }));
+}
+
+/**
+ * Deliver an array of leads to every destination - see streamToDestinations
+ */
+async function deliverToDestinations(destinations, leads, metadata = {}, options = {}) {
+    return streamToDestinations(destinations, [leads], metadata, { itemCount: leads.length, ...options });
+}
+
+module.exports = {
+    DELIVERY_RESULT,
+    DestinationError,
+    resolveDestinations,
+    destinationSecrets,
+    openDestinationDelivery,
+    streamToDestinations,
+    deliverToDestinations
+};
@@ -0,0 +1,109 @@
+const { openStore } = require('./store');
+
+/**
+ * Idempotency ledger for Stripe webhooks. A key (`event:<event.id>`, `session:<session.id>`,
+ * `invoice:<invoice.id>`) is claimed atomically before any side effects:
+ *
+ *   in_progress - claimed by a delivery that is still working on it
+ *   done        - handled; later deliveries are skipped
+ *   failed      - handling threw; the next delivery may claim it again
+ *
+ * A claim left in_progress for longer than STALE_CLAIM_AGE (a crashed function) can be taken over.
+ */
+const CLAIM_STATUS = {
+    IN_PROGRESS: 'in_progress',
+    DONE: 'done',
+    FAILED: 'failed'
+};
+
+const STALE_CLAIM_AGE = 5 * 60 * 1000;
+
+function ledgerStore() {
+    return openStore('stripe-events');
+}
+
+async function getClaim(key) {
+    return ledgerStore().get(key);
+}
+
+/**
+ * Claim a key for processing. Returns true if this caller now owns it.
+ */
+async function claim(key) {
+    const record = {
+        key,
+        status: CLAIM_STATUS.IN_PROGRESS,
+        claimedAt: Date.now(),
+        attempts: 1
+    };
+
+    if (await ledgerStore().insert(key, record)) {
+        return true;
+    }
+
+    const existing = await getClaim(key);
+    if (!existing) {
+        // Removed between our insert and get - try once more
+        return ledgerStore().insert(key, record);
+    }
+
+    const stale = existing.status === CLAIM_STATUS.IN_PROGRESS && Date.now() - existing.claimedAt > STALE_CLAIM_AGE;
+    if (existing.status !== CLAIM_STATUS.FAILED && !stale) {
+        console.log(`⚠️ ${key} is already ${existing.status}, skipping`);
+        return false;
+    }
+
+    // Compare-and-swap against the record we read, so only one concurrent delivery wins the retry
+    if (!(await ledgerStore().update(key, existing, { ...record, attempts: (existing.attempts || 1) + 1 }))) {
+        console.log(`⚠️ ${key} was reclaimed by another delivery, skipping`);
+        return false;
+    }
+    console.log(`🔁 Reclaimed ${stale ? 'stale' : 'failed'} ${key}`);
+    return true;
+}
+
+async function finish(key, status, fields) {
+    const existing = (await getClaim(key)) || { key, claimedAt: Date.now() };
+    await ledgerStore().put(key, {
+        ...existing,
+        ...fields,
+        status,
+        finishedAt: Date.now()
+    });
+}
+
+async function markDone(key, fields = {}) {
+    return finish(key, CLAIM_STATUS.DONE, fields);
+}
+
+async function markFailed(key, error) {
+    return finish(key, CLAIM_STATUS.FAILED, { error: error instanceof Error ? error.message : String(error) });
+}
+
+/**
+ * Run `fn` once per key: claim, run, then mark done or failed (rethrowing the error).
+ * Returns { claimed: false } when another delivery owns or finished the key.
+ */
+async function runOnce(key, fn) {
+    if (!(await claim(key))) {
+        return { claimed: false };
+    }
+
+    try {
+        const result = await fn();
+        await markDone(key);
+        return { claimed: true, result };
+    } catch (error) {
+        await markFailed(key, error);
+        throw error;
+    }
+}
+
+module.exports = {
+    CLAIM_STATUS,
+    getClaim,
+    claim,
+    markDone,
+    markFailed,
+    runOnce
+};
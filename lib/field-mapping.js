@@ -0,0 +1,117 @@
+/**
+ * Declarative output field mapping - picks, renames and flattens fields of raw Apollo
+ * records so each downstream system gets the columns it expects.
+ *
+ *   {
+ *     "fields": [
+ *       "email",                                                    // copy as is
+ *       { "name": "Company", "path": "organization_name" },         // rename
+ *       { "name": "Domain", "path": "organization.primary_domain" }, // nested path
+ *       { "name": "Phone", "path": ["phone_numbers[0].sanitized_number", "phone"], "default": "" },
+ *       { "name": "Source", "value": "apollo" }                    // constant
+ *     ]
+ *   }
+ *
+ * A path may be a list, in which case the first one with a value wins. Fields without a
+ * value get their default, or null. A bare array of fields is accepted as the spec too.
+ */
+class FieldMappingError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'FieldMappingError';
+        this.code = 'INVALID_FIELD_MAPPING';
+    }
+}
+
+const PATH_PATTERN = /^[^.[\]]+(\.[^.[\]]+|\[\d+\])*$/;
+
+function parsePath(path) {
+    if (typeof path !== 'string' || !PATH_PATTERN.test(path)) {
+        throw new FieldMappingError(`Invalid field path "${path}", expected e.g. organization.primary_domain or phone_numbers[0].sanitized_number`);
+    }
+    return path.match(/[^.[\]]+|\[\d+\]/g).map(segment => (
+        segment.startsWith('[') ? parseInt(segment.slice(1, -1)) : segment
+    ));
+}
+
+function getPath(record, segments) {
+    return segments.reduce((value, segment) => (
+        value === null || value === undefined ? undefined : value[segment]
+    ), record);
+}
+
+function isEmpty(value) {
+    return value === null || value === undefined || value === '';
+}
+
+/**
+ * Check a mapping spec and normalize it to [{ name, paths, value, default }].
+ * Throws FieldMappingError.
+ */
+function compileFieldMapping(spec) {
+    const fields = Array.isArray(spec) ? spec : spec?.fields;
+    if (!Array.isArray(fields) || fields.length === 0) {
+        throw new FieldMappingError('Field mapping needs a non-empty "fields" list');
+    }
+
+    const names = new Set();
+    return fields.map(field => {
+        const definition = typeof field === 'string' ? { name: field, path: field } : field;
+        if (!definition || typeof definition.name !== 'string' || !definition.name) {
+            throw new FieldMappingError(`Every mapped field needs a name: ${JSON.stringify(field)}`);
+        }
+        if (names.has(definition.name)) {
+            throw new FieldMappingError(`Field "${definition.name}" is mapped more than once`);
+        }
+        names.add(definition.name);
+
+        if ('value' in definition) {
+            return { name: definition.name, constant: true, value: definition.value };
+        }
+
+        const paths = [].concat(definition.path ?? definition.name);
+        return {
+            name: definition.name,
+            constant: false,
+            paths: paths.map(parsePath),
+            default: definition.default ?? null
+        };
+    });
+}
+
+/**
+ * Apply a mapping spec to records. Throws FieldMappingError if the spec is invalid.
+ */
+function applyFieldMapping(records, spec) {
+    const fields = compileFieldMapping(spec);
+
+    return records.map(record => {
+        const mapped = {};
+        fields.forEach(field => {
+            if (field.constant) {
+                mapped[field.name] = field.value;
+                return;
+            }
+
+            const value = field.paths
+                .map(segments => getPath(record, segments))
+                .find(candidate => !isEmpty(candidate));
+            mapped[field.name] = isEmpty(value) ? field.default : value;
+        });
+        return mapped;
+    });
+}
+
+/**
+ * Output column names of a spec, in order
+ */
+function mappedFieldNames(spec) {
+    return compileFieldMapping(spec).map(field => field.name);
+}
+
+module.exports = {
+    FieldMappingError,
+    compileFieldMapping,
+    applyFieldMapping,
+    mappedFieldNames
+};
@@ -0,0 +1,108 @@
+/**
+ * Fillout integration for the actor's webhook mode: read an order out of a Fillout
+ * submission webhook and report the scrape's progress back to that submission.
+ *
+ * Fillout posts { formId, formName, submission: { submissionId, questions: [{ id, name, type, value }], ... } }.
+ * Questions are matched by type first and by name second, so the form can label them freely.
+ */
+const FILLOUT_API_BASE = process.env.FILLOUT_API_BASE || 'https://api.fillout.com/v1/api';
+
+const SUBMISSION_STATUS = {
+    PROCESSING: 'processing',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+};
+
+function findQuestion(questions, { types = [], namePattern, valuePattern }) {
+    const answered = questions.filter(question => question.value !== null && question.value !== undefined && question.value !== '');
+
+    return answered.find(question => valuePattern && valuePattern.test(String(question.value)))
+        || answered.find(question => types.includes(question.type) && (!namePattern || namePattern.test(question.name || '')))
+        || answered.find(question => namePattern && namePattern.test(question.name || ''))
+        || null;
+}
+
+/**
+ * Pull the Apollo URL, lead count and email out of a Fillout webhook payload.
+ * Throws if the payload has no submission or no Apollo URL.
+ */
+function parseFilloutSubmission(payload) {
+    const submission = payload?.submission || payload;
+    if (!submission || !Array.isArray(submission.questions)) {
+        throw new Error('Fillout webhook data has no submission questions');
+    }
+
+    const questions = submission.questions;
+
+    const urlQuestion = findQuestion(questions, {
+        valuePattern: /apollo\.io/i,
+        types: ['URLInput', 'ShortAnswer', 'LongAnswer'],
+        namePattern: /apollo|url|link/i
+    });
+    if (!urlQuestion) {
+        throw new Error('Fillout submission does not contain an Apollo search URL');
+    }
+
+    const leadsQuestion = findQuestion(questions, {
+        types: ['NumberInput', 'Slider', 'Dropdown', 'MultipleChoice'],
+        namePattern: /lead|record|count|how many/i
+    });
+    const emailQuestion = findQuestion(questions, {
+        types: ['EmailInput'],
+        namePattern: /e-?mail/i
+    });
+
+    const leads = leadsQuestion ? parseInt(String(leadsQuestion.value).replace(/[^0-9]/g, '')) : null;
+
+    return {
+        formId: payload.formId || submission.formId || null,
+        submissionId: submission.submissionId || null,
+        apolloUrl: String(urlQuestion.value).trim(),
+        leads: leads || null,
+        email: emailQuestion ? String(emailQuestion.value).trim() : null
+    };
+}
+
+/**
+ * Write the scrape status and results back to the submission. Resolves to
+ * { updated, error } and never throws - the scrape itself should not fail because
+ * Fillout is unreachable, so callers record the error instead.
+ *
+ * Fillout's REST API (https://www.fillout.com/help/fillout-rest-api) documents listing,
+ * fetching, creating and deleting submissions but no update, so this PATCH may be rejected.
+ * FILLOUT_API_BASE can point it at a service that accepts it.
+ */
+async function updateFilloutSubmission(apiKey, formId, submissionId, result) {
+    if (!apiKey || !formId || !submissionId) {
+        console.log('ℹ️ Fillout API key, form or submission ID missing, skipping status update');
+        return { updated: false, error: 'Fillout API key, form or submission ID missing' };
+    }
+
+    let error;
+    try {
+        const response = await fetch(`${FILLOUT_API_BASE}/forms/${encodeURIComponent(formId)}/submissions/${encodeURIComponent(submissionId)}`, {
+            method: 'PATCH',
+            headers: {
+                'Authorization': `Bearer ${apiKey}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                ...result,
+                updatedAt: new Date().toISOString()
+            })
+        });
+
+        if (response.ok) {
+            console.log(`📝 Fillout submission ${submissionId} -> ${result.status}`);
+            return { updated: true, error: null };
+        }
+        error = `HTTP ${response.status}: ${(await response.text()).substring(0, 500)}`;
+    } catch (requestError) {
+        error = requestError.message;
+    }
+
+    console.error(`❌ Fillout status update for submission ${submissionId} (form ${formId}) -> ${result.status} failed: ${error}`);
+    return { updated: false, error };
+}
+
+module.exports = { SUBMISSION_STATUS, parseFilloutSubmission, updateFilloutSubmission };
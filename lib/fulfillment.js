@@ -0,0 +1,269 @@
+const {
+    markOrderPaid,
+    markRunTriggered,
+    markOrderFailed
+} = require('./order-repository');
+const { recordRedemption } = require('./promotions');
+const { parseApolloUrl, summarizeFilters } = require('./apollo-url');
+const { getServerConfig } = require('./config');
+
+// Apify answers a run start within seconds; give up well before a 60s function limit
+const TRIGGER_TIMEOUT = 20000;
+
+/**
+ * Start the scraper for a paid order and notify the customer. Returns the run ID,
+ * or null if the order cannot be scraped (the order is failed and flagged for review). Throws if the run could not be started; the
+ * order is left for the caller to retry or fail.
+ */
+async function fulfillOrder(orderKey, order, amountPaid, emailExtras = {}) {
+    const { apolloUrl, email, leads, cleanOutput, promoCode, dedupe, qualityFilter } = order;
+    const bonusLeads = parseInt(order.bonusLeads) || 0;
+    const totalRecords = parseInt(leads) + bonusLeads;
+
+    await markOrderPaid(orderKey, {
+        apolloUrl: apolloUrl,
+        email: email,
+        leads: leads,
+        cleanOutput: cleanOutput,
+        dedupe: dedupe === true || dedupe === 'true',
+        qualityFilter: qualityFilter || null,
+        promoCode: promoCode || null,
+        bonusLeads: bonusLeads,
+        subscriptionId: order.subscriptionId || null,
+        amountPaid: amountPaid
+    });
+
+    // Never start a run on a URL that was truncated or mangled on the way here
+    let searchSummary;
+    try {
+        const { filters } = parseApolloUrl(apolloUrl);
+        searchSummary = order.searchSummary || summarizeFilters(filters);
+    } catch (urlError) {
+        console.error(`❌ Refusing to scrape invalid Apollo URL for order ${orderKey}: [${urlError.code}] ${urlError.message}`);
+        // Retrying cannot fix the URL, so tell the customer and leave the order for an operator
+        await markOrderFailed(orderKey, urlError, { errorCode: urlError.code, needsReview: true });
+        await postEmailWebhook({
+            type: 'order-failed',
+            email: email,
+            orderId: orderKey,
+            reason: 'Your Apollo search link could not be read, so the scrape was not started',
+            leadCount: totalRecords,
+            searchSummary: order.searchSummary || null,
+            timestamp: new Date().toISOString(),
+            service: 'apollo-scraper',
+            source: 'stripe-payment',
+            ...emailExtras
+        });
+        return null;
+    }
+
+    if (promoCode) {
+        await recordRedemption(promoCode, orderKey, order.orderId || orderKey);
+        console.log(`🎟️ Promo code ${promoCode} redeemed (${bonusLeads} bonus leads)`);
+    }
+
+    // Generate a random filename for this order
+    const fileName = generateRandomFileName();
+    
+    console.log(`Starting Apollo scraper for paid order:`, {
+        orderKey: orderKey,
+        email: email,
+        leads: leads,
+        bonusLeads: bonusLeads,
+        fileName: fileName,
+        amount: amountPaid / 100,
+        urlLength: apolloUrl.length
+    });
+
+    // Trigger Apollo scraper with FULL URL
+    const runId = await triggerApolloScraper({
+        url: apolloUrl,
+        totalRecords: totalRecords,
+        fileName: fileName,
+        email: email,
+        cleanOutput: cleanOutput === true || cleanOutput === 'true',
+        dedupe: dedupe === true || dedupe === 'true',
+        qualityFilter: qualityFilter || null,
+        paymentSessionId: orderKey,
+        paidAmount: amountPaid / 100
+    });
+
+    await markRunTriggered(orderKey, { runId: runId, fileName: fileName });
+
+    // Send email webhook notification (matching the form's behavior)
+    await sendEmailWebhook(email, totalRecords, apolloUrl, fileName, searchSummary, emailExtras);
+
+    console.log(`Apollo scraper triggered successfully for order ${orderKey}`);
+    return runId;
+}
+
+async function triggerApolloScraper(orderDetails) {
+    const {
+        url,
+        totalRecords,
+        fileName,
+        email,
+        cleanOutput,
+        dedupe,
+        qualityFilter,
+        paymentSessionId,
+        paidAmount
+    } = orderDetails;
+
+    try {
+        // Prepare the payload for YOUR Apollo actor (matching your actor's expected parameters)
+        const payload = {
+            url: url,                    // Apollo search URL
+            totalRecords: totalRecords,  // Number of leads to scrape
+            fileName: fileName,          // File name for the export
+            email: email,                // Customer email (MISSING PARAMETER!)
+            cleanOutput: cleanOutput,    // Whether to clean the output data
+            dedupe: !!dedupe,            // Skip leads already delivered to this email
+            emailStatuses: qualityFilter ? qualityFilter.emailStatuses : [],
+            minQualityScore: qualityFilter ? qualityFilter.minScore : 0
+        };
+
+        console.log('Triggering YOUR Apollo actor with payload:', {
+            ...payload,
+            url: payload.url.substring(0, 100) + '...', // Truncate URL for logging
+            totalRecords: payload.totalRecords,
+            fileName: payload.fileName,
+            cleanOutput: payload.cleanOutput,
+            dedupe: payload.dedupe,
+            emailStatuses: payload.emailStatuses,
+            minQualityScore: payload.minQualityScore
+        });
+
+        // Call YOUR Apollo actor
+        const { apolloActorId, apifyToken } = getServerConfig();
+        const actorUrl = `https://api.apify.com/v2/acts/${encodeURIComponent(apolloActorId)}/runs?token=${apifyToken}`;
+        
+        console.log(`Calling actor: ${apolloActorId}`);
+        
+        // Bounded, so one slow trigger cannot use up a cron or webhook invocation
+        const response = await fetch(actorUrl, {
+            method: 'POST',
+            signal: AbortSignal.timeout(TRIGGER_TIMEOUT),
+            headers: {
+                'Content-Type': 'application/json; charset=utf-8',
+                'Accept': 'application/json',
+                'User-Agent': 'Apollo-Scraper-Webhook/1.0'
+            },
+            body: JSON.stringify(payload)
+        });
+
+        console.log(`Apify API response status: ${response.status}`);
+        
+        if (!response.ok) {
+            const errorText = await response.text();
+            console.error(`Apify API error response: ${errorText}`);
+            throw new Error(`Apollo actor API call failed: ${response.status} ${response.statusText} - ${errorText}`);
+        }
+
+        const result = await response.json();
+        console.log('Apify API success response:', result);
+        
+        const runId = result.data?.id || result.id || result.runId;
+
+        console.log(`✅ YOUR Apollo actor started successfully!`);
+        console.log(`Payment: ${paymentSessionId}, Run ID: ${runId}`);
+        console.log(`Customer: ${email}, Amount: $${paidAmount}`);
+
+        return runId;
+
+    } catch (error) {
+        console.error('❌ Error triggering YOUR Apollo scraper:', error);
+        console.error('Error details:', {
+            message: error.message,
+            stack: error.stack,
+            actorId: getServerConfig().apolloActorId,
+            hasApifyToken: !!getServerConfig().apifyToken
+        });
+        throw error;
+    }
+}
+
+function generateRandomFileName() {
+    const characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+    let result = '';
+    for (let i = 0; i < 6; i++) {
+        result += characters.charAt(Math.floor(Math.random() * characters.length));
+    }
+    return result;
+}
+
+async function sendEmailWebhook(email, leadCount, apolloUrl, fileName, searchSummary, extras = {}) {
+    console.log(`📧 Customer email: ${email}`);
+    console.log(`📧 Lead count: ${leadCount}`);
+    console.log(`📧 File name: ${fileName}`);
+
+    await postEmailWebhook({
+        email: email,
+        leadCount: leadCount,
+        apolloUrl: apolloUrl,
+        searchSummary: searchSummary,
+        timestamp: new Date().toISOString(),
+        service: 'apollo-scraper',
+        fileName: fileName,
+        source: 'stripe-payment', // Additional context that this came from payment
+        ...extras
+    });
+}
+
+/**
+ * Post any customer notification to EMAIL_WEBHOOK_URL. Failures are logged, never thrown.
+ */
+async function postEmailWebhook(emailPayload) {
+    try {
+        const { emailWebhookUrl } = getServerConfig();
+        
+        console.log(`📧 EMAIL_WEBHOOK_URL configured: ${emailWebhookUrl ? 'YES' : 'NO'}`);
+        
+        if (!emailWebhookUrl) {
+            console.log('ℹ️ No EMAIL_WEBHOOK_URL configured, skipping email webhook');
+            return;
+        }
+
+        console.log('📧 Sending email webhook notification...');
+        console.log(`📧 Target URL: ${emailWebhookUrl}`);
+        console.log('📧 Email webhook payload:', JSON.stringify(emailPayload, null, 2));
+
+        const response = await fetch(emailWebhookUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'Apollo-Scraper-Email/1.0'
+            },
+            body: JSON.stringify(emailPayload)
+        });
+
+        console.log(`📧 Email webhook response status: ${response.status}`);
+        console.log(`📧 Email webhook response headers:`, Object.fromEntries(response.headers.entries()));
+
+        if (response.ok) {
+            console.log('✅ Email webhook sent successfully');
+            const responseText = await response.text();
+            console.log('📧 Email webhook response body:', responseText);
+        } else {
+            console.log(`⚠️ Email webhook failed: ${response.status} ${response.statusText}`);
+            const errorText = await response.text();
+            console.log('❌ Email webhook error response:', errorText);
+        }
+    } catch (error) {
+        console.error('❌ Email webhook error:', error);
+        console.error('❌ Email webhook error stack:', error.stack);
+        console.error('❌ Email webhook error details:', {
+            name: error.name,
+            message: error.message,
+            emailWebhookUrl: getServerConfig().emailWebhookUrl
+        });
+    }
+}
+
+module.exports = {
+    fulfillOrder,
+    triggerApolloScraper,
+    sendEmailWebhook,
+    postEmailWebhook,
+    generateRandomFileName
+};
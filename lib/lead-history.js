@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+
+/**
+ * Per-customer history of delivered leads, so overlapping searches do not deliver (and
+ * charge for) the same people twice.
+ *
+ * A lead is identified by its email, LinkedIn URL and Apollo person ID; it counts as
+ * delivered if any of them has been delivered to the customer before. Only short hashes
+ * of the identities are kept, one record per customer email:
+ *
+ *   { identities: ['3f9a...', ...], updatedAt }
+ *
+ * The record lives in a key-value store with getValue(key) / setValue(key, value), e.g.
+ * the actor's Apify.openKeyValueStore('lead-history').
+ */
+const HASH_LENGTH = 16;
+
+function hashIdentity(identity) {
+    return crypto.createHash('sha256').update(identity).digest('hex').substring(0, HASH_LENGTH);
+}
+
+function normalizeLinkedinUrl(url) {
+    return String(url)
+        .toLowerCase()
+        .replace(/^https?:\/\//, '')
+        .replace(/^[a-z]{2,3}\./, '')
+        .replace(/[?#].*$/, '')
+        .replace(/\/+$/, '');
+}
+
+/**
+ * Hashed identities of one lead (empty if it has none of email, LinkedIn URL or Apollo ID)
+ */
+function leadIdentities(lead) {
+    const identities = [];
+    if (lead.email) {
+        identities.push(`email:${String(lead.email).trim().toLowerCase()}`);
+    }
+    if (lead.linkedin_url) {
+        identities.push(`linkedin:${normalizeLinkedinUrl(lead.linkedin_url)}`);
+    }
+    if (lead.id) {
+        identities.push(`apollo:${lead.id}`);
+    }
+    return identities.map(hashIdentity);
+}
+
+function historyKey(email) {
+    // Key-value store keys only allow a limited character set
+    return `customer-${hashIdentity(`customer:${email.trim().toLowerCase()}`)}`;
+}
+
+/**
+ * Load a customer's history. Returns an object with:
+ *   size                 - identities on record
+ *   filterLeads(leads)   - { leads, removed }: leads not delivered before (and not repeated
+ *                          within `leads`), and how many were dropped
+ *   recordLeads(leads)   - add delivered leads and save, merging with anything another run
+ *                          saved in the meantime
+ */
+async function loadLeadHistory(store, email) {
+    const key = historyKey(email);
+    const record = await store.getValue(key);
+    const delivered = new Set(record?.identities || []);
+
+    return {
+        get size() {
+            return delivered.size;
+        },
+
+        filterLeads(leads) {
+            const seen = new Set(delivered);
+            const kept = leads.filter(lead => {
+                const identities = leadIdentities(lead);
+                if (identities.some(identity => seen.has(identity))) {
+                    return false;
+                }
+                identities.forEach(identity => seen.add(identity));
+                return true;
+            });
+
+            return { leads: kept, removed: leads.length - kept.length };
+        },
+
+        async recordLeads(leads) {
+            const latest = await store.getValue(key);
+            (latest?.identities || []).forEach(identity => delivered.add(identity));
+            leads.forEach(lead => leadIdentities(lead).forEach(identity => delivered.add(identity)));
+
+            await store.setValue(key, {
+                identities: Array.from(delivered),
+                updatedAt: new Date().toISOString()
+            });
+        }
+    };
+}
+
+module.exports = { leadIdentities, loadLeadHistory };
@@ -0,0 +1,285 @@
+/**
+ * Lead normalization - adds a `normalized` object to each raw Apollo record, leaving the
+ * original fields untouched:
+ *
+ *   normalized: {
+ *     firstName, lastName, fullName,   // split from name when needed, capitalized
+ *     phone, phones,                   // E.164, country inferred from the lead's location
+ *     seniority, department,           // buckets classified from title
+ *     countryCode, stateCode           // ISO 3166-1 alpha-2 / US and Canadian postal codes
+ *   }
+ *
+ * Phones that cannot be made into a plausible E.164 number are left out rather than guessed.
+ */
+
+// ISO code, dialing code and the names Apollo (and people) use for each country
+const COUNTRIES = [
+    ['US', '1', ['united states', 'united states of america', 'usa', 'us', 'america']],
+    ['CA', '1', ['canada']],
+    ['GB', '44', ['united kingdom', 'uk', 'great britain', 'england', 'scotland', 'wales', 'northern ireland']],
+    ['IE', '353', ['ireland']],
+    ['AU', '61', ['australia']],
+    ['NZ', '64', ['new zealand']],
+    ['DE', '49', ['germany', 'deutschland']],
+    ['FR', '33', ['france']],
+    ['ES', '34', ['spain']],
+    ['IT', '39', ['italy']],
+    ['PT', '351', ['portugal']],
+    ['NL', '31', ['netherlands', 'the netherlands', 'holland']],
+    ['BE', '32', ['belgium']],
+    ['LU', '352', ['luxembourg']],
+    ['CH', '41', ['switzerland']],
+    ['AT', '43', ['austria']],
+    ['SE', '46', ['sweden']],
+    ['NO', '47', ['norway']],
+    ['DK', '45', ['denmark']],
+    ['FI', '358', ['finland']],
+    ['PL', '48', ['poland']],
+    ['CZ', '420', ['czech republic', 'czechia']],
+    ['RO', '40', ['romania']],
+    ['HU', '36', ['hungary']],
+    ['GR', '30', ['greece']],
+    ['UA', '380', ['ukraine']],
+    ['TR', '90', ['turkey', 'türkiye']],
+    ['IL', '972', ['israel']],
+    ['AE', '971', ['united arab emirates', 'uae']],
+    ['SA', '966', ['saudi arabia']],
+    ['EG', '20', ['egypt']],
+    ['ZA', '27', ['south africa']],
+    ['NG', '234', ['nigeria']],
+    ['KE', '254', ['kenya']],
+    ['IN', '91', ['india']],
+    ['PK', '92', ['pakistan']],
+    ['SG', '65', ['singapore']],
+    ['MY', '60', ['malaysia']],
+    ['ID', '62', ['indonesia']],
+    ['PH', '63', ['philippines']],
+    ['HK', '852', ['hong kong']],
+    ['CN', '86', ['china']],
+    ['JP', '81', ['japan']],
+    ['KR', '82', ['south korea', 'korea', 'republic of korea']],
+    ['BR', '55', ['brazil', 'brasil']],
+    ['MX', '52', ['mexico']],
+    ['AR', '54', ['argentina']],
+    ['CO', '57', ['colombia']],
+    ['CL', '56', ['chile']]
+];
+
+const COUNTRY_BY_NAME = new Map();
+const DIALING_CODES = new Map();
+COUNTRIES.forEach(([code, dialingCode, names]) => {
+    DIALING_CODES.set(code, dialingCode);
+    COUNTRY_BY_NAME.set(code.toLowerCase(), code);
+    names.forEach(name => COUNTRY_BY_NAME.set(name, code));
+});
+
+// Countries whose national numbers keep their leading 0 after the country code
+const KEEPS_TRUNK_ZERO = ['IT'];
+
+const STATES = {
+    US: {
+        AL: 'alabama', AK: 'alaska', AZ: 'arizona', AR: 'arkansas', CA: 'california', CO: 'colorado',
+        CT: 'connecticut', DE: 'delaware', DC: 'district of columbia', FL: 'florida', GA: 'georgia',
+        HI: 'hawaii', ID: 'idaho', IL: 'illinois', IN: 'indiana', IA: 'iowa', KS: 'kansas',
+        KY: 'kentucky', LA: 'louisiana', ME: 'maine', MD: 'maryland', MA: 'massachusetts',
+        MI: 'michigan', MN: 'minnesota', MS: 'mississippi', MO: 'missouri', MT: 'montana',
+        NE: 'nebraska', NV: 'nevada', NH: 'new hampshire', NJ: 'new jersey', NM: 'new mexico',
+        NY: 'new york', NC: 'north carolina', ND: 'north dakota', OH: 'ohio', OK: 'oklahoma',
+        OR: 'oregon', PA: 'pennsylvania', PR: 'puerto rico', RI: 'rhode island', SC: 'south carolina',
+        SD: 'south dakota', TN: 'tennessee', TX: 'texas', UT: 'utah', VT: 'vermont', VA: 'virginia',
+        WA: 'washington', WV: 'west virginia', WI: 'wisconsin', WY: 'wyoming'
+    },
+    CA: {
+        AB: 'alberta', BC: 'british columbia', MB: 'manitoba', NB: 'new brunswick',
+        NL: 'newfoundland and labrador', NS: 'nova scotia', NT: 'northwest territories', NU: 'nunavut',
+        ON: 'ontario', PE: 'prince edward island', QC: 'quebec', SK: 'saskatchewan', YT: 'yukon'
+    }
+};
+
+// First match wins, so more specific buckets come first
+const SENIORITY_RULES = [
+    ['intern', /\bintern(ship)?\b|\btrainee\b|\bapprentice\b/],
+    ['vp', /\bvice[\s-]president\b|\b[se]?vp\b/],
+    ['c_suite', /\bchief\b|\bc[a-z]o\b|\bpresident\b|\bmanaging director\b/],
+    ['founder', /\b(co-?)?founder\b/],
+    ['owner', /\bowner\b|\bproprietor\b/],
+    ['partner', /\bpartner\b|\bprincipal\b/],
+    ['head', /\bhead of\b|\bhead\b/],
+    ['director', /\bdirector\b/],
+    ['manager', /\bmanager\b|\bmgr\b|\blead\b|\bsupervisor\b/],
+    ['senior', /\bsenior\b|\bsr\.?(?=\s|$)|\bstaff\b/],
+    ['entry', /\bjunior\b|\bjr\.?(?=\s|$)|\bassociate\b|\bassistant\b|\bentry\b/]
+];
+
+const DEPARTMENT_RULES = [
+    ['data', /\bdata\b|\banalytics\b|\bmachine learning\b|\bml\b|\bai\b|\bscientist\b|\bbusiness intelligence\b|\bbi\b/],
+    ['engineering', /engineer|developer|\bsoftware\b|\bdevops\b|\bcto\b|technolog|\barchitect\b|programmer|\bqa\b/],
+    ['it', /\bit\b|information technology|\bsystems? admin|\bsysadmin\b|\bnetwork\b|\bsecurity\b|\binfrastructure\b|\bcio\b|help ?desk/],
+    ['product', /\bproduct\b/],
+    ['design', /design|\bux\b|\bui\b|\bcreative\b/],
+    ['sales', /\bsales\b|account executive|business development|\b[bs]dr\b|account manager|\bcro\b|\brevenue\b/],
+    ['marketing', /marketing|\bcmo\b|\bbrand\b|\bgrowth\b|\bcontent\b|\bseo\b|communications|\bpr\b|social media|demand gen/],
+    ['customer_success', /customer success|customer service|\bsupport\b|client services|customer experience/],
+    ['finance', /financ|\bcfo\b|accountant|accounting|controller|treasur|\baudit|\btax\b|payroll/],
+    ['hr', /human resources|\bhr\b|\bpeople\b|\btalent\b|recruit|\bchro\b/],
+    ['legal', /\blegal\b|counsel|attorney|lawyer|paralegal|compliance/],
+    ['operations', /operations|\bcoo\b|supply chain|logistics|procurement|facilities/]
+];
+
+const NAME_PARTICLES = ['van', 'von', 'der', 'den', 'de', 'del', 'della', 'da', 'di', 'du', 'dos', 'la', 'le', 'bin', 'al'];
+
+function countryCode(country) {
+    if (!country) {
+        return null;
+    }
+    return COUNTRY_BY_NAME.get(String(country).trim().toLowerCase()) || null;
+}
+
+function stateCode(state, country) {
+    const states = STATES[country];
+    if (!state || !states) {
+        return null;
+    }
+
+    const value = String(state).trim();
+    if (states[value.toUpperCase()]) {
+        return value.toUpperCase();
+    }
+    const match = Object.entries(states).find(([, name]) => name === value.toLowerCase());
+    return match ? match[0] : null;
+}
+
+/**
+ * Format a phone number as E.164, using the country's dialing code when the number has none.
+ * A parenthesized trunk prefix is dropped: +44 (0)20 7946 0958 -> +442079460958.
+ * Returns null when the result would not be a plausible number.
+ */
+function toE164(number, country) {
+    let raw = String(number).trim();
+    if (/\(0\)/.test(raw)) {
+        // Italian numbers keep their 0 after the country code, so there it is dialed
+        const international = raw.replace(/\(0\).*$/, '').replace(/\D/g, '');
+        const keepsZero = KEEPS_TRUNK_ZERO.some(code => international.endsWith(DIALING_CODES.get(code)))
+            || (!international && KEEPS_TRUNK_ZERO.includes(country));
+        raw = raw.replace(/\(0\)/g, keepsZero ? '0' : '');
+    }
+    let digits = raw.replace(/\D/g, '');
+
+    if (raw.startsWith('+')) {
+        // already international
+    } else if (digits.startsWith('00')) {
+        digits = digits.substring(2);
+    } else {
+        const dialingCode = DIALING_CODES.get(country);
+        if (!dialingCode) {
+            return null;
+        }
+        if (dialingCode === '1' && digits.length === 11 && digits.startsWith('1')) {
+            // NANP number written with its country code
+        } else {
+            if (digits.startsWith('0') && !KEEPS_TRUNK_ZERO.includes(country)) {
+                digits = digits.substring(1);
+            }
+            digits = dialingCode + digits;
+        }
+    }
+
+    return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+}
+
+function capitalizeWord(word, index) {
+    if (index > 0 && NAME_PARTICLES.includes(word)) {
+        return word;
+    }
+    return word.replace(/(^|[-'’])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase());
+}
+
+/**
+ * Capitalize names typed in all lower or all upper case; mixed case (McDonald, DeVito) is kept
+ */
+function capitalizeName(name) {
+    if (!name) {
+        return null;
+    }
+    const trimmed = String(name).trim().replace(/\s+/g, ' ');
+    if (trimmed !== trimmed.toLowerCase() && trimmed !== trimmed.toUpperCase()) {
+        return trimmed;
+    }
+    return trimmed.toLowerCase().split(' ').map(capitalizeWord).join(' ');
+}
+
+function splitName(lead) {
+    // Drop credentials such as ", PhD" or ", CPA"
+    const fullName = lead.name ? String(lead.name).split(',')[0].trim() : '';
+    const parts = fullName.split(/\s+/).filter(Boolean);
+
+    const firstName = capitalizeName(lead.first_name || parts[0]);
+    const lastName = capitalizeName(lead.last_name || (parts.length > 1 ? parts.slice(1).join(' ') : null));
+
+    return {
+        firstName,
+        lastName,
+        fullName: [firstName, lastName].filter(Boolean).join(' ') || null
+    };
+}
+
+function classify(title, rules) {
+    if (!title) {
+        return null;
+    }
+    const value = String(title).toLowerCase();
+    const match = rules.find(([, pattern]) => pattern.test(value));
+    return match ? match[0] : null;
+}
+
+function classifyTitle(title) {
+    const seniority = classify(title, SENIORITY_RULES) || (title ? 'individual_contributor' : null);
+    let department = classify(title, DEPARTMENT_RULES);
+    if (!department && ['c_suite', 'founder', 'owner', 'partner'].includes(seniority)) {
+        department = 'executive';
+    }
+    return { seniority, department };
+}
+
+function leadPhoneNumbers(lead) {
+    const numbers = (Array.isArray(lead.phone_numbers) ? lead.phone_numbers : [])
+        .map(phone => (typeof phone === 'string' ? phone : phone?.sanitized_number || phone?.raw_number));
+    if (lead.phone) {
+        numbers.push(lead.phone);
+    }
+    return numbers.filter(Boolean);
+}
+
+/**
+ * Add the `normalized` object to one lead. The original fields are not changed.
+ */
+function normalizeLead(lead) {
+    const country = countryCode(lead.country) || countryCode(lead.organization?.country);
+    const phones = [...new Set(leadPhoneNumbers(lead).map(number => toE164(number, country)).filter(Boolean))];
+
+    return {
+        ...lead,
+        normalized: {
+            ...splitName(lead),
+            phone: phones[0] || null,
+            phones,
+            ...classifyTitle(lead.title),
+            countryCode: country,
+            stateCode: stateCode(lead.state, country)
+        }
+    };
+}
+
+function normalizeLeads(leads) {
+    return leads.map(normalizeLead);
+}
+
+module.exports = {
+    normalizeLead,
+    normalizeLeads,
+    toE164,
+    countryCode,
+    stateCode,
+    classifyTitle,
+    capitalizeName
+};
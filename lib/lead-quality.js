@@ -0,0 +1,152 @@
+/**
+ * Lead quality scoring - a 0-100 score per lead from:
+ *
+ *   email status   40  (verified 40, likely_to_engage 30, extrapolated 20, guessed 15, unverified 10)
+ *   phone number   20
+ *   LinkedIn URL   15
+ *   title match    25  (every word of a searched personTitles[] entry is in the title;
+ *                       10 if they only share a distinctive word)
+ *
+ * Searches without job titles are scored out of the other 75 points and scaled to 100.
+ * The score and its inputs are added as `quality` alongside the lead's other fields.
+ */
+const EMAIL_STATUS_POINTS = {
+    verified: 40,
+    likely_to_engage: 30,
+    extrapolated: 20,
+    guessed: 15,
+    unverified: 10
+};
+
+const POINTS = { phone: 20, linkedin: 15, titleMatch: 25, titlePartial: 10 };
+
+const FILLER_WORDS = ['of', 'and', 'the', 'for', 'to', 'in', '&', 'at'];
+
+// Words too common in titles to count as a match on their own
+const GENERIC_TITLE_WORDS = [...FILLER_WORDS, 'senior', 'junior', 'sr', 'jr', 'lead', 'head', 'manager', 'director'];
+
+function normalizeEmailStatus(status) {
+    return status ? String(status).trim().toLowerCase().replace(/[\s-]+/g, '_') : null;
+}
+
+function titleWords(title, ignored) {
+    return String(title).toLowerCase().split(/[^a-z0-9&]+/).filter(word => word && !ignored.includes(word));
+}
+
+function matchTitle(title, searchedTitles) {
+    if (!searchedTitles.length) {
+        return null;
+    }
+    if (!title) {
+        return 'none';
+    }
+
+    const words = new Set(titleWords(title, FILLER_WORDS));
+    if (searchedTitles.some(searched => {
+        const searchedWords = titleWords(searched, FILLER_WORDS);
+        return searchedWords.length > 0 && searchedWords.every(word => words.has(word));
+    })) {
+        return 'exact';
+    }
+
+    return searchedTitles.some(searched => titleWords(searched, GENERIC_TITLE_WORDS).some(word => words.has(word))) ? 'partial' : 'none';
+}
+
+/**
+ * Score one lead against the searched job titles
+ */
+function scoreLead(lead, searchedTitles = []) {
+    const emailStatus = normalizeEmailStatus(lead.email_status);
+    const hasPhone = Boolean(lead.normalized?.phone || lead.phone_numbers?.length || lead.phone);
+    const hasLinkedin = Boolean(lead.linkedin_url);
+    const titleMatch = matchTitle(lead.title, searchedTitles);
+
+    let points = (lead.email ? EMAIL_STATUS_POINTS[emailStatus] || 0 : 0)
+        + (hasPhone ? POINTS.phone : 0)
+        + (hasLinkedin ? POINTS.linkedin : 0);
+    let maxPoints = 100;
+
+    if (titleMatch === null) {
+        maxPoints -= POINTS.titleMatch;
+    } else if (titleMatch === 'exact') {
+        points += POINTS.titleMatch;
+    } else if (titleMatch === 'partial') {
+        points += POINTS.titlePartial;
+    }
+
+    return {
+        score: Math.round(points / maxPoints * 100),
+        emailStatus,
+        hasPhone,
+        hasLinkedin,
+        titleMatch
+    };
+}
+
+function scoreLeads(leads, searchedTitles = []) {
+    return leads.map(lead => ({ ...lead, quality: scoreLead(lead, searchedTitles) }));
+}
+
+/**
+ * Keep scored leads that pass an order's quality filter:
+ *   emailStatuses - accepted email statuses, e.g. ['verified', 'likely_to_engage']
+ *   minScore      - minimum quality score
+ * Returns { leads, removed }.
+ */
+function filterByQuality(leads, { emailStatuses = [], minScore = 0 } = {}) {
+    const accepted = emailStatuses.map(normalizeEmailStatus);
+    const kept = leads.filter(lead => {
+        const quality = lead.quality || scoreLead(lead);
+        if (accepted.length && !accepted.includes(quality.emailStatus)) {
+            return false;
+        }
+        return quality.score >= minScore;
+    });
+
+    return { leads: kept, removed: leads.length - kept.length };
+}
+
+function bandLabel(band) {
+    return band === 90 ? '90-100' : `${band}-${band + 9}`;
+}
+
+/**
+ * Count scored leads per 10-point band: { '0-9': n, ..., '90-100': n }. Pass the histogram
+ * of earlier pages as `histogram` to keep a running count.
+ */
+function scoreHistogram(leads, histogram = null) {
+    if (!histogram) {
+        histogram = {};
+        for (let band = 0; band < 100; band += 10) {
+            histogram[bandLabel(band)] = 0;
+        }
+    }
+
+    leads.forEach(lead => {
+        const score = lead.quality ? lead.quality.score : scoreLead(lead).score;
+        histogram[bandLabel(Math.min(Math.floor(score / 10) * 10, 90))]++;
+    });
+    return histogram;
+}
+
+/**
+ * Read an order's quality filter from loose input (actor input, Stripe metadata strings).
+ * Returns null when the order does not filter.
+ */
+function parseQualityFilter({ emailStatuses, minScore } = {}) {
+    const statuses = (Array.isArray(emailStatuses) ? emailStatuses : String(emailStatuses || '').split(','))
+        .map(normalizeEmailStatus)
+        .filter(Boolean);
+    const score = Math.max(0, Math.min(parseInt(minScore) || 0, 100));
+
+    return statuses.length || score ? { emailStatuses: statuses, minScore: score } : null;
+}
+
+module.exports = {
+    EMAIL_STATUS_POINTS,
+    scoreLead,
+    scoreLeads,
+    filterByQuality,
+    scoreHistogram,
+    parseQualityFilter
+};
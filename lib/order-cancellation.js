@@ -0,0 +1,77 @@
+const { getRun, abortRun } = require('./apify-client');
+const { getOrder, updateOrderStatus } = require('./order-repository');
+const { postEmailWebhook } = require('./fulfillment');
+
+const RUN_FINISHED_STATUSES = ['SUCCEEDED', 'FAILED', 'ABORTED', 'TIMED-OUT'];
+
+/**
+ * Abort an order's scraper run if it is still going. Returns true if a run was aborted.
+ */
+async function abortOrderRun(order) {
+    if (!order.runId) {
+        return false;
+    }
+
+    try {
+        const run = await getRun(order.runId);
+        if (RUN_FINISHED_STATUSES.includes(run.status)) {
+            console.log(`ℹ️ Run ${order.runId} already ${run.status.toLowerCase()}, nothing to abort`);
+            return false;
+        }
+
+        await abortRun(order.runId);
+        console.log(`🛑 Aborted run ${order.runId} for order ${order.sessionId}`);
+        return true;
+    } catch (error) {
+        console.error(`❌ Failed to abort run ${order.runId}:`, error.message);
+        return false;
+    }
+}
+
+/**
+ * Close an order after a negative payment event (payment failed, checkout expired,
+ * refund, dispute): record the new status, stop its scrape and tell the customer.
+ *
+ * `notification` is the email webhook type, e.g. 'order-refunded'. Returns the
+ * updated order, or null if there is no such order.
+ */
+async function cancelOrder(orderKey, status, { reason, notification, email, fields = {} } = {}) {
+    const order = await getOrder(orderKey);
+    if (!order && !email) {
+        console.log(`⚠️ No order found for ${orderKey}, cannot record ${status}`);
+        return null;
+    }
+
+    if (order && order.status === status) {
+        console.log(`⚠️ Order ${orderKey} is already ${status}`);
+        return order;
+    }
+
+    const runAborted = order ? await abortOrderRun(order) : false;
+
+    const updated = await updateOrderStatus(orderKey, status, {
+        ...fields,
+        error: reason,
+        runAborted
+    });
+
+    const customerEmail = updated.email || email;
+    if (notification && customerEmail) {
+        await postEmailWebhook({
+            type: notification,
+            email: customerEmail,
+            orderId: orderKey,
+            reason: reason,
+            leadCount: updated.leads || null,
+            searchSummary: updated.searchSummary || null,
+            runAborted: runAborted,
+            timestamp: new Date().toISOString(),
+            service: 'apollo-scraper',
+            source: 'stripe-payment'
+        });
+    }
+
+    return updated;
+}
+
+module.exports = { cancelOrder, abortOrderRun };
@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+
+/**
+ * Signed order digest - ties the priced order (URL, lead count, amount, email) created at
+ * checkout to what the Stripe webhook is about to scrape, so nothing that travels through
+ * metadata or the order store can be changed without being noticed.
+ *
+ * Signed with ORDER_SIGNING_SECRET. Without it orders are not signed, and the webhook
+ * only checks the amount paid against the amount recorded on the order.
+ *
+ * Orders are never re-priced here: a price or promo change between checkout and payment
+ * must not fail an order the customer has already paid for.
+ */
+class OrderIntegrityError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'OrderIntegrityError';
+        this.code = 'ORDER_INTEGRITY';
+    }
+}
+
+function digestPayload({ apolloUrl, leads, amount, email, bonusLeads, discountAmount }) {
+    return JSON.stringify([
+        String(apolloUrl),
+        parseInt(leads),
+        parseInt(amount),
+        String(email).trim().toLowerCase(),
+        parseInt(bonusLeads) || 0,
+        parseInt(discountAmount) || 0
+    ]);
+}
+
+/**
+ * Sign an order at checkout. Returns null when ORDER_SIGNING_SECRET is not configured.
+ */
+function signOrder(order) {
+    const secret = process.env.ORDER_SIGNING_SECRET;
+    if (!secret) {
+        console.log('⚠️ ORDER_SIGNING_SECRET is not configured, order will not be signed');
+        return null;
+    }
+    return crypto.createHmac('sha256', secret).update(digestPayload(order)).digest('hex');
+}
+
+/**
+ * Check a paid order before scraping it. Throws OrderIntegrityError if the digest does not
+ * match the order or the amount Stripe charged differs from the order's (signed) amount.
+ */
+function verifyPaidOrder(order, digest, amountPaid) {
+    const secret = process.env.ORDER_SIGNING_SECRET;
+
+    if (secret) {
+        if (!digest) {
+            throw new OrderIntegrityError('Order is not signed');
+        }
+
+        const expected = Buffer.from(signOrder(order), 'hex');
+        const provided = Buffer.from(String(digest), 'hex');
+        if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+            throw new OrderIntegrityError('Order digest does not match the order details');
+        }
+    }
+
+    if (parseInt(order.amount) !== amountPaid) {
+        throw new OrderIntegrityError(`Amount paid (${amountPaid}) does not match the order amount (${order.amount})`);
+    }
+}
+
+module.exports = { OrderIntegrityError, signOrder, verifyPaidOrder };
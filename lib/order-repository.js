@@ -0,0 +1,159 @@
+const { openStore, updateRecord } = require('./store');
+
+/**
+ * Order repository - durable record of each order's lifecycle, keyed by Stripe session ID
+ *
+ * created -> paid -> run_triggered -> delivered
+ *    |         |  \-> retry_pending -> run_triggered | failed   (trigger retry queue)
+ *    |         \-> failed
+ *    |-> payment_pending -> paid | payment_failed   (delayed payment methods)
+ *    \-> expired                                   (checkout abandoned)
+ *
+ * Any paid order can later become refunded or disputed.
+ */
+const ORDER_STATUS = {
+    CREATED: 'created',
+    PAYMENT_PENDING: 'payment_pending',
+    PAID: 'paid',
+    RUN_TRIGGERED: 'run_triggered',
+    RETRY_PENDING: 'retry_pending',
+    DELIVERED: 'delivered',
+    FAILED: 'failed',
+    PAYMENT_FAILED: 'payment_failed',
+    EXPIRED: 'expired',
+    REFUNDED: 'refunded',
+    DISPUTED: 'disputed'
+};
+
+// Orders in these states must never start (or restart) a scrape
+const CLOSED_STATUSES = [
+    ORDER_STATUS.PAYMENT_FAILED,
+    ORDER_STATUS.EXPIRED,
+    ORDER_STATUS.REFUNDED,
+    ORDER_STATUS.DISPUTED
+];
+
+function ordersStore() {
+    return openStore('orders');
+}
+
+async function getOrder(sessionId) {
+    return ordersStore().get(sessionId);
+}
+
+/**
+ * Record a new order right after its checkout session is created
+ */
+async function createOrder(sessionId, details) {
+    const now = new Date().toISOString();
+    const order = {
+        sessionId,
+        ...details,
+        status: ORDER_STATUS.CREATED,
+        createdAt: now,
+        updatedAt: now,
+        history: [{ status: ORDER_STATUS.CREATED, at: now }]
+    };
+
+    await ordersStore().put(sessionId, order);
+    console.log(`💾 Order ${sessionId} recorded (${ordersStore().backend} store)`);
+    return order;
+}
+
+/**
+ * Move an order to a new status, merging any extra fields into the record. The write is a
+ * compare-and-swap, so a concurrent change (e.g. a refund) is never overwritten unseen.
+ * Orders that were never recorded (e.g. lost before the store existed) are created on the fly.
+ *
+ * With `onlyFrom`, the order only moves if it is currently in one of those statuses;
+ * otherwise it is left as it is. Resolves to the order as stored.
+ */
+async function updateOrderStatus(sessionId, status, fields = {}, { onlyFrom = null } = {}) {
+    let changed = false;
+    const updated = await updateRecord(ordersStore(), sessionId, existing => {
+        if (onlyFrom && !onlyFrom.includes(existing?.status)) {
+            return undefined;
+        }
+
+        const now = new Date().toISOString();
+        const order = existing || { sessionId, createdAt: now, history: [] };
+
+        // Keep history entries small - only the status change and what explains it
+        const entry = { status, at: now };
+        if (fields.runId) entry.runId = fields.runId;
+        if (fields.error) entry.error = fields.error;
+
+        changed = true;
+        return {
+            ...order,
+            ...fields,
+            status,
+            updatedAt: now,
+            history: [...(order.history || []), entry]
+        };
+    });
+
+    if (changed) {
+        console.log(`💾 Order ${sessionId} -> ${status}`);
+    } else {
+        console.log(`ℹ️ Order ${sessionId} is ${updated?.status}, not moving it to ${status}`);
+    }
+    return updated;
+}
+
+async function markOrderPaid(sessionId, fields) {
+    return updateOrderStatus(sessionId, ORDER_STATUS.PAID, fields);
+}
+
+async function markRunTriggered(sessionId, fields) {
+    return updateOrderStatus(sessionId, ORDER_STATUS.RUN_TRIGGERED, fields);
+}
+
+/**
+ * The run could not be started yet and a retry is queued - the order is not failed
+ */
+async function markRetryPending(sessionId, error, fields = {}) {
+    return updateOrderStatus(sessionId, ORDER_STATUS.RETRY_PENDING, {
+        ...fields,
+        error: error instanceof Error ? error.message : error
+    });
+}
+
+async function markOrderDelivered(sessionId, fields, options) {
+    return updateOrderStatus(sessionId, ORDER_STATUS.DELIVERED, fields, options);
+}
+
+async function markOrderFailed(sessionId, error, fields = {}, options) {
+    return updateOrderStatus(sessionId, ORDER_STATUS.FAILED, {
+        ...fields,
+        error: error instanceof Error ? error.message : error
+    }, options);
+}
+
+/**
+ * An order counts as processed once its scraper run has been started
+ */
+function isOrderProcessed(order) {
+    return !!order && (order.status === ORDER_STATUS.RUN_TRIGGERED || order.status === ORDER_STATUS.DELIVERED);
+}
+
+/**
+ * An order is closed once its payment failed, expired, was refunded or disputed
+ */
+function isOrderClosed(order) {
+    return !!order && CLOSED_STATUSES.includes(order.status);
+}
+
+module.exports = {
+    ORDER_STATUS,
+    getOrder,
+    createOrder,
+    updateOrderStatus,
+    markOrderPaid,
+    markRunTriggered,
+    markRetryPending,
+    markOrderDelivered,
+    markOrderFailed,
+    isOrderProcessed,
+    isOrderClosed
+};
@@ -0,0 +1,89 @@
+const { getRun, getDataset } = require('./apify-client');
+const {
+    ORDER_STATUS,
+    getOrder,
+    markOrderDelivered,
+    markOrderFailed,
+    isOrderClosed
+} = require('./order-repository');
+
+const RUN_FAILED_STATUSES = ['FAILED', 'ABORTED', 'TIMED-OUT'];
+
+// A finished run only moves an order that is still waiting on it - never a refunded or disputed one
+const RUNNING_ORDER = { onlyFrom: [ORDER_STATUS.RUN_TRIGGERED] };
+
+/**
+ * Check the Apify run behind an order and move the order to delivered/failed when it finishes
+ */
+async function refreshRunState(order) {
+    const run = await getRun(order.runId);
+
+    let itemCount = null;
+    if (run.defaultDatasetId) {
+        try {
+            const dataset = await getDataset(run.defaultDatasetId);
+            itemCount = dataset.itemCount;
+        } catch (error) {
+            console.log(`⚠️ Could not read dataset for run ${order.runId}: ${error.message}`);
+        }
+    }
+
+    const runState = {
+        id: run.id,
+        status: run.status,
+        startedAt: run.startedAt,
+        finishedAt: run.finishedAt || null,
+        itemCount
+    };
+
+    let updatedOrder = order;
+    if (run.status === 'SUCCEEDED') {
+        updatedOrder = await markOrderDelivered(order.sessionId, { deliveredAt: run.finishedAt, itemCount }, RUNNING_ORDER);
+    } else if (RUN_FAILED_STATUSES.includes(run.status)) {
+        updatedOrder = await markOrderFailed(order.sessionId, `Scraper run ${run.status.toLowerCase()}`, {}, RUNNING_ORDER);
+    }
+
+    return { order: updatedOrder, run: runState };
+}
+
+/**
+ * Customer-facing status of an order. Only exposes what the success page needs.
+ */
+async function getOrderStatus(sessionId) {
+    let order = await getOrder(sessionId);
+    if (!order) {
+        return null;
+    }
+
+    let run = order.runId ? { id: order.runId, status: null, itemCount: order.itemCount ?? null } : null;
+
+    if (order.status === ORDER_STATUS.RUN_TRIGGERED && order.runId) {
+        try {
+            ({ order, run } = await refreshRunState(order));
+        } catch (error) {
+            console.error(`❌ Failed to refresh run state for order ${sessionId}:`, error.message);
+        }
+    }
+
+    const totalRecords = (parseInt(order.leads) || 0) + (parseInt(order.bonusLeads) || 0);
+    if (run && run.itemCount !== null && totalRecords > 0) {
+        run.progress = Math.min(Math.round(run.itemCount / totalRecords * 100), 100);
+    }
+
+    return {
+        sessionId: order.sessionId,
+        status: order.status,
+        leads: order.leads,
+        bonusLeads: order.bonusLeads || 0,
+        run,
+        error: order.status === ORDER_STATUS.FAILED || isOrderClosed(order) ? order.error : null,
+        nextAttemptAt: order.status === ORDER_STATUS.RETRY_PENDING && order.nextAttemptAt
+            ? new Date(order.nextAttemptAt).toISOString()
+            : null,
+        history: (order.history || []).map(entry => ({ status: entry.status, at: entry.at })),
+        createdAt: order.createdAt,
+        updatedAt: order.updatedAt
+    };
+}
+
+module.exports = { getOrderStatus };
@@ -0,0 +1,124 @@
+/**
+ * Pricing engine - the single source of truth for what an order costs.
+ * Used by the checkout API and, through /api/quote, by the order form.
+ *
+ * Tiers are graduated: each lead is charged at the rate of the band it falls in,
+ * so crossing a tier boundary never makes an order cheaper than a smaller one.
+ */
+const DEFAULT_PRICING = {
+    currency: 'usd',
+    minLeads: 500,
+    maxLeads: 50000,
+    minAmount: 250,    // cents ($2.50)
+    maxAmount: 25000,  // cents ($250)
+    tiers: [
+        { upTo: 10000, ratePerLead: 0.005 },
+        { upTo: null, ratePerLead: 0.004 } // null = no upper bound
+    ]
+};
+
+/**
+ * Pricing can be overridden with a PRICING_CONFIG JSON env var, e.g.
+ * {"tiers":[{"upTo":10000,"ratePerLead":0.005},{"upTo":null,"ratePerLead":0.004}]}
+ */
+function getPricing() {
+    if (!process.env.PRICING_CONFIG) {
+        return DEFAULT_PRICING;
+    }
+
+    try {
+        return { ...DEFAULT_PRICING, ...JSON.parse(process.env.PRICING_CONFIG) };
+    } catch (error) {
+        console.error('❌ Invalid PRICING_CONFIG, using default pricing:', error.message);
+        return DEFAULT_PRICING;
+    }
+}
+
+function formatAmount(cents) {
+    return `$${(cents / 100).toFixed(2)}`;
+}
+
+/**
+ * Price an order. Throws with a customer-facing message if the order is out of bounds.
+ */
+function quote(leads, pricing = getPricing()) {
+    if (typeof leads !== 'number' || !Number.isInteger(leads) || leads <= 0) {
+        throw new Error('Lead count must be a positive whole number');
+    }
+
+    if (leads < pricing.minLeads) {
+        throw new Error(`Minimum order is ${pricing.minLeads.toLocaleString()} leads`);
+    }
+
+    if (leads > pricing.maxLeads) {
+        throw new Error(`Maximum order is ${pricing.maxLeads.toLocaleString()} leads`);
+    }
+
+    const breakdown = [];
+    let remaining = leads;
+    let from = 0;
+    let exactCents = 0;
+
+    for (const tier of pricing.tiers) {
+        if (remaining <= 0) {
+            break;
+        }
+
+        const bandSize = tier.upTo === null ? remaining : Math.max(tier.upTo - from, 0);
+        const tierLeads = Math.min(remaining, bandSize);
+
+        if (tierLeads > 0) {
+            const tierCents = tierLeads * tier.ratePerLead * 100;
+            exactCents += tierCents;
+            breakdown.push({
+                from: from + 1,
+                to: from + tierLeads,
+                leads: tierLeads,
+                ratePerLead: tier.ratePerLead,
+                amount: Math.round(tierCents)
+            });
+        }
+
+        remaining -= tierLeads;
+        from += tierLeads;
+    }
+
+    if (remaining > 0) {
+        throw new Error('Pricing tiers do not cover the requested lead count');
+    }
+
+    const amount = Math.round(exactCents);
+
+    if (amount < pricing.minAmount) {
+        throw new Error(`Minimum order amount is ${formatAmount(pricing.minAmount)}`);
+    }
+
+    if (amount > pricing.maxAmount) {
+        throw new Error(`Maximum order amount is ${formatAmount(pricing.maxAmount)}`);
+    }
+
+    return {
+        leads,
+        amount,
+        currency: pricing.currency,
+        formattedAmount: formatAmount(amount),
+        effectiveRate: amount / 100 / leads,
+        breakdown
+    };
+}
+
+/**
+ * Public description of the price list for the form
+ */
+function describePricing(pricing = getPricing()) {
+    return {
+        currency: pricing.currency,
+        minLeads: pricing.minLeads,
+        maxLeads: pricing.maxLeads,
+        minAmount: pricing.minAmount,
+        maxAmount: pricing.maxAmount,
+        tiers: pricing.tiers
+    };
+}
+
+module.exports = { quote, describePricing, formatAmount };
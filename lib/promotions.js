@@ -0,0 +1,223 @@
+const { openStore, updateRecord } = require('./store');
+const { quote, describePricing, formatAmount } = require('./pricing');
+
+/**
+ * Promotion codes - defined locally and checked server-side at checkout
+ *
+ * Rule types:
+ *   percent_off - value is a percentage of the order amount (e.g. 20)
+ *   amount_off  - value is a fixed discount in cents (e.g. 500 = $5.00)
+ *   bonus_leads - value is a number of extra leads scraped at no cost
+ *
+ * Optional limits: expiresAt (ISO date) and maxUses (paid redemptions).
+ * A use is reserved when the checkout session is created and released if the session
+ * expires unpaid, so concurrent checkouts cannot oversell maxUses.
+ * Rules are read from the PROMO_CODES env var as a JSON array, e.g.
+ * [{"code":"LAUNCH20","type":"percent_off","value":20,"expiresAt":"2026-12-31","maxUses":100}]
+ */
+
+// Stripe will not create a card charge below $0.50
+const MINIMUM_CHARGE = 50;
+
+// Checkout sessions expire after 24 hours; a reservation whose release was missed lapses after this
+const RESERVATION_TTL = 25 * 60 * 60 * 1000;
+
+function getPromotions() {
+    if (!process.env.PROMO_CODES) {
+        return [];
+    }
+
+    try {
+        return JSON.parse(process.env.PROMO_CODES);
+    } catch (error) {
+        console.error('❌ Invalid PROMO_CODES, no promotions available:', error.message);
+        return [];
+    }
+}
+
+function normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+}
+
+function redemptionsStore() {
+    return openStore('promo-redemptions');
+}
+
+/**
+ * Per-code usage counter: { code, redeemed, reservations: { orderId: reservedUntil } }
+ */
+function usageStore() {
+    return openStore('promo-usage');
+}
+
+function activeReservations(usage, now = Date.now()) {
+    return Object.fromEntries(Object.entries(usage.reservations || {}).filter(([, reservedUntil]) => reservedUntil > now));
+}
+
+function countUses(usage) {
+    return usage ? usage.redeemed + Object.keys(activeReservations(usage)).length : 0;
+}
+
+/**
+ * Read a code's counter, creating it from the redemption records on first use
+ */
+async function getUsage(code) {
+    const usage = await usageStore().get(code);
+    if (usage) {
+        return usage;
+    }
+
+    const redemptions = await redemptionsStore().list();
+    const initial = { code, redeemed: redemptions.filter(redemption => redemption.code === code).length, reservations: {} };
+    await usageStore().update(code, null, initial);
+    return (await usageStore().get(code)) || initial;
+}
+
+/**
+ * Look up a promotion code and check it is still usable.
+ * Throws with a customer-facing message if it is not.
+ */
+async function resolvePromotion(rawCode) {
+    const code = normalizeCode(rawCode);
+    const promotion = getPromotions().find(rule => normalizeCode(rule.code) === code);
+
+    if (!promotion) {
+        throw new Error(`Promo code ${code} is not valid`);
+    }
+
+    if (promotion.expiresAt && new Date(promotion.expiresAt) < new Date()) {
+        throw new Error(`Promo code ${code} has expired`);
+    }
+
+    if (promotion.maxUses && countUses(await getUsage(code)) >= promotion.maxUses) {
+        throw new Error(`Promo code ${code} has reached its usage limit`);
+    }
+
+    return { ...promotion, code };
+}
+
+/**
+ * Apply a resolved promotion to a price quote
+ */
+function applyPromotion(priceQuote, promotion) {
+    let discountAmount = 0;
+    let bonusLeads = 0;
+
+    if (promotion.type === 'percent_off') {
+        discountAmount = Math.round(priceQuote.amount * promotion.value / 100);
+    } else if (promotion.type === 'amount_off') {
+        discountAmount = promotion.value;
+    } else if (promotion.type === 'bonus_leads') {
+        // Bonus leads are scraped too, so the order with them must stay within the maximum
+        bonusLeads = Math.min(promotion.value, Math.max(describePricing().maxLeads - priceQuote.leads, 0));
+    } else {
+        throw new Error(`Promo code ${promotion.code} is misconfigured`);
+    }
+
+    const amount = Math.max(priceQuote.amount - discountAmount, MINIMUM_CHARGE);
+
+    return {
+        code: promotion.code,
+        type: promotion.type,
+        originalAmount: priceQuote.amount,
+        discountAmount: priceQuote.amount - amount,
+        amount,
+        formattedAmount: formatAmount(amount),
+        bonusLeads
+    };
+}
+
+/**
+ * Hold one use of a code for a checkout that is about to be created. Throws if the code
+ * has no uses left. Codes without maxUses are not counted until they are redeemed.
+ */
+async function reservePromotion(rawCode, orderId) {
+    const code = normalizeCode(rawCode);
+    const promotion = getPromotions().find(rule => normalizeCode(rule.code) === code);
+    if (!promotion || !promotion.maxUses) {
+        return;
+    }
+
+    await getUsage(code);
+    let reserved = false;
+    await updateRecord(usageStore(), code, usage => {
+        const reservations = activeReservations(usage);
+        reserved = usage.redeemed + Object.keys(reservations).length < promotion.maxUses;
+        if (!reserved) {
+            return undefined;
+        }
+        return { ...usage, reservations: { ...reservations, [orderId]: Date.now() + RESERVATION_TTL } };
+    });
+
+    if (!reserved) {
+        throw new Error(`Promo code ${code} has reached its usage limit`);
+    }
+}
+
+/**
+ * Give a reserved use back, e.g. when its checkout expired or was never created
+ */
+async function releasePromotion(code, orderId) {
+    code = normalizeCode(code);
+    if (!code || !(await usageStore().get(code))) {
+        return;
+    }
+
+    await updateRecord(usageStore(), code, usage => {
+        if (!usage.reservations?.[orderId]) {
+            return undefined;
+        }
+        const { [orderId]: released, ...reservations } = usage.reservations;
+        return { ...usage, reservations };
+    });
+}
+
+/**
+ * Count a paid redemption, turning its reservation into a use. Keyed by session so
+ * repeated webhooks only count once.
+ */
+async function recordRedemption(code, sessionId, orderId = sessionId) {
+    // Create the counter first so its backfill does not count this redemption twice
+    await getUsage(code);
+
+    const recorded = await redemptionsStore().insert(`${code}:${sessionId}`, {
+        code,
+        sessionId,
+        orderId,
+        redeemedAt: new Date().toISOString()
+    });
+    if (!recorded) {
+        return false;
+    }
+
+    // Paid orders are honored even if their reservation lapsed, so this may pass maxUses
+    await updateRecord(usageStore(), code, usage => {
+        const { [orderId]: reservation, ...reservations } = activeReservations(usage);
+        return { ...usage, redeemed: usage.redeemed + 1, reservations };
+    });
+    return true;
+}
+
+/**
+ * Price an order and apply an optional promo code - used by both /api/quote and checkout
+ */
+async function priceOrder(leads, promoCode) {
+    const priceQuote = quote(leads);
+
+    if (!normalizeCode(promoCode)) {
+        return { quote: priceQuote, promotion: null, amount: priceQuote.amount };
+    }
+
+    const promotion = applyPromotion(priceQuote, await resolvePromotion(promoCode));
+    return { quote: priceQuote, promotion, amount: promotion.amount };
+}
+
+module.exports = {
+    resolvePromotion,
+    applyPromotion,
+    reservePromotion,
+    releasePromotion,
+    recordRedemption,
+    priceOrder,
+    normalizeCode
+};
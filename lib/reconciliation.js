@@ -0,0 +1,128 @@
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { getOrder, isOrderProcessed, isOrderClosed } = require('./order-repository');
+const { getClaim } = require('./event-ledger');
+const { getJob } = require('./trigger-queue');
+const { handleSuccessfulPayment } = require('./checkout-payments');
+
+/**
+ * Reconciliation - find paid one-off checkout sessions that never produced a scraper run
+ * (webhook timed out, store lost, ...) and optionally start them.
+ *
+ * A session is an orphan when it is paid but its order is neither processed nor closed and
+ * no retry job is pending for it. Orders failed with `needsReview` (e.g. an unreadable Apollo
+ * URL) are listed separately and never re-triggered. Subscription checkouts are started per
+ * invoice and credit pack purchases have no run, so both are left out.
+ */
+const DEFAULT_WINDOW_HOURS = 24;
+
+function isScraperSession(session) {
+    const metadata = session.metadata || {};
+    // Sessions created before `service` was added to session metadata carry an apollo_ order ID
+    return metadata.service === 'apollo-scraper' || (metadata.orderId || '').startsWith('apollo_');
+}
+
+function describeSession(session, order, claim, job) {
+    return {
+        sessionId: session.id,
+        email: session.customer_details?.email || session.metadata.email,
+        leads: parseInt(session.metadata.leads) || null,
+        amount: session.amount_total,
+        created: new Date(session.created * 1000).toISOString(),
+        orderStatus: order ? order.status : null,
+        orderError: order?.error || null,
+        needsReview: !!order?.needsReview,
+        claimStatus: claim ? claim.status : null,
+        retryJob: job ? { status: job.status, attempts: job.attempts } : null
+    };
+}
+
+/**
+ * Compare paid sessions created in [since, until] with our order records.
+ * With `trigger`, orphans are started through the same path as the Stripe webhook.
+ */
+async function reconcileSessions({ since, until = new Date(), trigger = false } = {}) {
+    const windowStart = since || new Date(until.getTime() - DEFAULT_WINDOW_HOURS * 60 * 60 * 1000);
+
+    const report = {
+        since: windowStart.toISOString(),
+        until: until.toISOString(),
+        checked: 0,
+        processed: 0,
+        queued: [],
+        orphans: [],
+        review: [],
+        triggered: []
+    };
+
+    const sessions = stripe.checkout.sessions.list({
+        status: 'complete',
+        created: {
+            gte: Math.floor(windowStart.getTime() / 1000),
+            lte: Math.floor(until.getTime() / 1000)
+        },
+        limit: 100
+    });
+
+    for await (const session of sessions) {
+        if (!isScraperSession(session) || session.mode !== 'payment' || session.payment_status !== 'paid') {
+            continue;
+        }
+        if (session.metadata.purchaseType === 'credits') {
+            continue;
+        }
+
+        report.checked++;
+
+        const order = await getOrder(session.id);
+        if (isOrderProcessed(order) || isOrderClosed(order)) {
+            report.processed++;
+            continue;
+        }
+
+        const claim = await getClaim(`session:${session.id}`);
+        const job = await getJob(session.id);
+        const entry = describeSession(session, order, claim, job);
+
+        if (job) {
+            report.queued.push(entry);
+            continue;
+        }
+
+        // Starting these again would only fail the same way
+        if (entry.needsReview) {
+            report.review.push(entry);
+            continue;
+        }
+
+        report.orphans.push(entry);
+
+        if (trigger) {
+            report.triggered.push(await triggerOrphan(session));
+        }
+    }
+
+    console.log(`🧾 Reconciled ${report.checked} sessions: ${report.processed} processed, ${report.queued.length} queued, ${report.orphans.length} orphaned, ${report.review.length} for review`);
+    return report;
+}
+
+async function triggerOrphan(session) {
+    try {
+        await handleSuccessfulPayment(session);
+        const order = await getOrder(session.id);
+        const started = isOrderProcessed(order);
+
+        console.log(`🧾 Orphan ${session.id}: ${started ? `run ${order.runId} started` : `not started (${order ? order.status : 'no order'})`}`);
+        return {
+            sessionId: session.id,
+            started,
+            runId: started ? order.runId : null,
+            orderStatus: order ? order.status : null,
+            error: started ? null : order?.error || null
+        };
+    } catch (error) {
+        console.error(`❌ Failed to trigger orphan ${session.id}:`, error.message);
+        return { sessionId: session.id, started: false, runId: null, orderStatus: null, error: error.message };
+    }
+}
+
+module.exports = { reconcileSessions };
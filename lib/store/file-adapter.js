@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * File storage adapter - keeps one JSON file per record under <baseDir>/<namespace>
+ *
+ * Every adapter exposes the same async interface:
+ *   get(id)            -> record or null
+ *   insert(id, record) -> true if written, false if the id already exists (atomic)
+ *   put(id, record)    -> creates or replaces the record
+ *   update(id, expected, record)
+ *                      -> replaces the record only if it still equals `expected` (null: does not
+ *                         exist yet); true if written (atomic compare-and-swap)
+ *   remove(id)         -> true if a record was deleted
+ *   list()             -> all records in the namespace
+ */
+const LOCK_TIMEOUT = 5000;
+const LOCK_RETRY_DELAY = 10;
+
+function createFileAdapter({ baseDir, namespace }) {
+    const dir = path.join(baseDir, namespace);
+
+    function ensureDir() {
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+    }
+
+    function filePath(id) {
+        return path.join(dir, `${encodeURIComponent(id)}.json`);
+    }
+
+    function readRecord(id) {
+        try {
+            return JSON.parse(fs.readFileSync(filePath(id), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    function writeRecord(id, record) {
+        // Write to a temp file first so readers never see a half-written record
+        const target = filePath(id);
+        const tempPath = `${target}.${process.pid}.${Date.now()}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(record, null, 2));
+        fs.renameSync(tempPath, target);
+    }
+
+    /**
+     * Hold <record>.lock, created with 'wx', while `fn` runs. Locks older than LOCK_TIMEOUT
+     * were left by a crashed process and are taken over.
+     */
+    async function withRecordLock(id, fn) {
+        ensureDir();
+        const lockPath = `${filePath(id)}.lock`;
+
+        for (;;) {
+            try {
+                fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+                break;
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+            }
+
+            try {
+                if (Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_TIMEOUT) {
+                    fs.unlinkSync(lockPath);
+                    continue;
+                }
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+                continue;
+            }
+            await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_DELAY));
+        }
+
+        try {
+            return fn();
+        } finally {
+            fs.rmSync(lockPath, { force: true });
+        }
+    }
+
+    return {
+        backend: 'file',
+
+        async get(id) {
+            return readRecord(id);
+        },
+
+        async insert(id, record) {
+            ensureDir();
+            try {
+                // 'wx' fails if the file exists, which makes the insert an atomic claim
+                fs.writeFileSync(filePath(id), JSON.stringify(record, null, 2), { flag: 'wx' });
+                return true;
+            } catch (error) {
+                if (error.code === 'EEXIST') {
+                    return false;
+                }
+                throw error;
+            }
+        },
+
+        async put(id, record) {
+            // Same lock as update, so a put never lands between its compare and its swap
+            return withRecordLock(id, () => {
+                writeRecord(id, record);
+            });
+        },
+
+        async update(id, expected, record) {
+            if (expected === null) {
+                return this.insert(id, record);
+            }
+
+            return withRecordLock(id, () => {
+                if (JSON.stringify(readRecord(id)) !== JSON.stringify(expected)) {
+                    return false;
+                }
+                writeRecord(id, record);
+                return true;
+            });
+        },
+
+        async remove(id) {
+            return withRecordLock(id, () => {
+                try {
+                    fs.unlinkSync(filePath(id));
+                    return true;
+                } catch (error) {
+                    if (error.code === 'ENOENT') {
+                        return false;
+                    }
+                    throw error;
+                }
+            });
+        },
+
+        async list() {
+            if (!fs.existsSync(dir)) {
+                return [];
+            }
+
+            const records = [];
+            for (const file of fs.readdirSync(dir)) {
+                if (!file.endsWith('.json')) {
+                    continue;
+                }
+                try {
+                    records.push(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+                } catch (error) {
+                    console.error(`⚠️ Skipping unreadable record ${file}: ${error.message}`);
+                }
+            }
+            return records;
+        }
+    };
+}
+
+module.exports = { createFileAdapter };
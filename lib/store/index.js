@@ -0,0 +1,102 @@
+const os = require('os');
+const path = require('path');
+const { createFileAdapter } = require('./file-adapter');
+const { createSqliteAdapter } = require('./sqlite-adapter');
+const { createRedisAdapter } = require('./redis-adapter');
+
+/**
+ * Storage backend selection
+ *
+ * STORE_BACKEND     - 'file' (default), 'sqlite' or 'redis'
+ * STORE_DIR         - directory for the file backend (a persistent volume)
+ * STORE_SQLITE_PATH - database file for the sqlite backend
+ * KV_REST_API_URL / KV_REST_API_TOKEN - Vercel KV (or UPSTASH_REDIS_REST_URL / _TOKEN) for the
+ *                     redis backend, the one to use on Vercel where the filesystem is per instance
+ * STORE_REDIS_PREFIX - key prefix for the redis backend (default apollo-scraper)
+ *
+ * In production the backend's location must be configured. Outside production the file and
+ * sqlite backends fall back to the OS temp directory, which does not survive restarts.
+ */
+function isProduction() {
+    return process.env.NODE_ENV === 'production' || Boolean(process.env.VERCEL);
+}
+
+const warnedLocations = new Set();
+
+function requireLocation(variable, fallback) {
+    if (process.env[variable]) {
+        return process.env[variable];
+    }
+    if (isProduction()) {
+        throw new Error(`${variable} is not configured. Orders, credits and queues need persistent storage - set ${variable} or use STORE_BACKEND=redis`);
+    }
+
+    if (!warnedLocations.has(variable)) {
+        warnedLocations.add(variable);
+        console.warn(`⚠️ ${variable} is not set, storing data in ${fallback} (not persistent)`);
+    }
+    return fallback;
+}
+
+const adapters = {
+    file: namespace => createFileAdapter({
+        baseDir: requireLocation('STORE_DIR', path.join(os.tmpdir(), 'apollo-scraper-store')),
+        namespace
+    }),
+    sqlite: namespace => createSqliteAdapter({
+        filename: requireLocation('STORE_SQLITE_PATH', path.join(os.tmpdir(), 'apollo-scraper.sqlite')),
+        namespace
+    }),
+    redis: namespace => {
+        const url = process.env.KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL;
+        const token = process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN;
+        if (!url || !token) {
+            throw new Error('Redis store backend requires KV_REST_API_URL and KV_REST_API_TOKEN (or UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN)');
+        }
+        return createRedisAdapter({ url, token, prefix: process.env.STORE_REDIS_PREFIX || 'apollo-scraper', namespace });
+    }
+};
+
+const openStores = new Map();
+
+/**
+ * Open (or reuse) the store for a namespace such as 'orders'
+ */
+function openStore(namespace) {
+    if (openStores.has(namespace)) {
+        return openStores.get(namespace);
+    }
+
+    const backend = process.env.STORE_BACKEND || 'file';
+    const createAdapter = adapters[backend];
+    if (!createAdapter) {
+        throw new Error(`Unknown STORE_BACKEND "${backend}". Expected one of: ${Object.keys(adapters).join(', ')}`);
+    }
+
+    const store = createAdapter(namespace);
+    openStores.set(namespace, store);
+    return store;
+}
+
+/**
+ * Atomic read-modify-write on one record: `updater(current)` gets the record (or null) and
+ * returns the new one, and is re-run if another writer changed the record in between.
+ * Returning undefined leaves the record as it is. Resolves to the record as stored.
+ */
+async function updateRecord(store, id, updater, { attempts = 20 } = {}) {
+    for (let attempt = 0; attempt < attempts; attempt++) {
+        const current = await store.get(id);
+        const next = updater(current);
+        if (next === undefined) {
+            return current;
+        }
+        if (await store.update(id, current, next)) {
+            return next;
+        }
+        // Back off with jitter so concurrent writers stop colliding
+        await new Promise(resolve => setTimeout(resolve, Math.random() * 10 * (attempt + 1)));
+    }
+    throw new Error(`Could not update ${id}: too many concurrent writers`);
+}
+
+module.exports = { openStore, updateRecord };
@@ -0,0 +1,70 @@
+/**
+ * Redis storage adapter - same interface as the file adapter, over the Upstash / Vercel KV
+ * REST API, so every serverless instance shares one store. Each namespace is a hash
+ * (<prefix>:<namespace>) with one field per record.
+ *
+ * Uses fetch; no client package is needed.
+ */
+// Compare-and-swap of one hash field, run atomically by Redis
+const UPDATE_SCRIPT = `
+if redis.call('HGET', KEYS[1], ARGV[1]) == ARGV[2] then
+    redis.call('HSET', KEYS[1], ARGV[1], ARGV[3])
+    return 1
+end
+return 0`;
+
+function createRedisAdapter({ url, token, prefix, namespace }) {
+    const key = `${prefix}:${namespace}`;
+
+    async function command(...args) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(args)
+        });
+
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok || body.error) {
+            throw new Error(`Redis ${args[0]} failed: ${body.error || `HTTP ${response.status}`}`);
+        }
+        return body.result;
+    }
+
+    return {
+        backend: 'redis',
+
+        async get(id) {
+            const data = await command('HGET', key, id);
+            return data ? JSON.parse(data) : null;
+        },
+
+        async insert(id, record) {
+            return (await command('HSETNX', key, id, JSON.stringify(record))) === 1;
+        },
+
+        async put(id, record) {
+            await command('HSET', key, id, JSON.stringify(record));
+        },
+
+        async update(id, expected, record) {
+            if (expected === null) {
+                return this.insert(id, record);
+            }
+            return (await command('EVAL', UPDATE_SCRIPT, 1, key, id, JSON.stringify(expected), JSON.stringify(record))) === 1;
+        },
+
+        async remove(id) {
+            return (await command('HDEL', key, id)) === 1;
+        },
+
+        async list() {
+            const values = await command('HVALS', key);
+            return (values || []).map(data => JSON.parse(data));
+        }
+    };
+}
+
+module.exports = { createRedisAdapter };
@@ -0,0 +1,87 @@
+/**
+ * SQLite storage adapter - same interface as the file adapter, backed by a single
+ * `records` table so every namespace can share one database file.
+ *
+ * Requires the optional `better-sqlite3` dependency.
+ */
+
+// One connection per database file, shared by every namespace
+const connections = new Map();
+
+function openDatabase(filename) {
+    if (connections.has(filename)) {
+        return connections.get(filename);
+    }
+
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (error) {
+        throw new Error('SQLite store backend requires the "better-sqlite3" package. Run: npm install better-sqlite3');
+    }
+
+    const db = new Database(filename);
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS records (
+            namespace TEXT NOT NULL,
+            id TEXT NOT NULL,
+            data TEXT NOT NULL,
+            updated_at TEXT NOT NULL,
+            PRIMARY KEY (namespace, id)
+        )
+    `);
+
+    connections.set(filename, db);
+    return db;
+}
+
+function createSqliteAdapter({ filename, namespace }) {
+    const db = openDatabase(filename);
+
+    const statements = {
+        get: db.prepare('SELECT data FROM records WHERE namespace = ? AND id = ?'),
+        insert: db.prepare('INSERT OR IGNORE INTO records (namespace, id, data, updated_at) VALUES (?, ?, ?, ?)'),
+        put: db.prepare('INSERT OR REPLACE INTO records (namespace, id, data, updated_at) VALUES (?, ?, ?, ?)'),
+        update: db.prepare('UPDATE records SET data = ?, updated_at = ? WHERE namespace = ? AND id = ? AND data = ?'),
+        remove: db.prepare('DELETE FROM records WHERE namespace = ? AND id = ?'),
+        list: db.prepare('SELECT data FROM records WHERE namespace = ? ORDER BY updated_at')
+    };
+
+    return {
+        backend: 'sqlite',
+
+        async get(id) {
+            const row = statements.get.get(namespace, id);
+            return row ? JSON.parse(row.data) : null;
+        },
+
+        async insert(id, record) {
+            const result = statements.insert.run(namespace, id, JSON.stringify(record), new Date().toISOString());
+            return result.changes === 1;
+        },
+
+        async put(id, record) {
+            statements.put.run(namespace, id, JSON.stringify(record), new Date().toISOString());
+        },
+
+        async update(id, expected, record) {
+            if (expected === null) {
+                return this.insert(id, record);
+            }
+            // Records are stored as JSON.stringify output, so the expected record serializes identically
+            const result = statements.update.run(JSON.stringify(record), new Date().toISOString(), namespace, id, JSON.stringify(expected));
+            return result.changes === 1;
+        },
+
+        async remove(id) {
+            return statements.remove.run(namespace, id).changes === 1;
+        },
+
+        async list() {
+            return statements.list.all(namespace).map(row => JSON.parse(row.data));
+        }
+    };
+}
+
+module.exports = { createSqliteAdapter };
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const { openStore, updateRecord } = require('./store');
+
+/**
+ * Recurring scrape subscriptions, keyed by Stripe subscription ID.
+ * Stripe owns billing; this record holds the search to re-run and the history of cycles.
+ * Paused is the customer's choice; past due is Stripe failing to collect a renewal.
+ */
+const SUBSCRIPTION_STATUS = {
+    ACTIVE: 'active',
+    PAUSED: 'paused',
+    PAST_DUE: 'past_due',   // renewal not paid - no runs until an invoice is paid
+    CANCELED: 'canceled'
+};
+
+const BILLING_INTERVALS = ['week', 'month'];
+
+function subscriptionsStore() {
+    return openStore('subscriptions');
+}
+
+async function getSubscription(subscriptionId) {
+    return subscriptionsStore().get(subscriptionId);
+}
+
+/**
+ * Create the subscription record. Safe to call from concurrent webhooks - the first write wins.
+ */
+async function createSubscription(subscriptionId, details) {
+    const now = new Date().toISOString();
+    const subscription = {
+        subscriptionId,
+        ...details,
+        status: SUBSCRIPTION_STATUS.ACTIVE,
+        cycles: [],
+        createdAt: now,
+        updatedAt: now
+    };
+
+    const created = await subscriptionsStore().insert(subscriptionId, subscription);
+    if (!created) {
+        return getSubscription(subscriptionId);
+    }
+
+    console.log(`🔁 Subscription ${subscriptionId} recorded (${details.interval}ly)`);
+    return subscription;
+}
+
+/**
+ * Apply `changes(subscription)` with a compare-and-swap, so concurrent webhooks for the
+ * same subscription never overwrite each other. Null when there is no such subscription.
+ */
+async function changeSubscription(subscriptionId, changes) {
+    const subscription = await updateRecord(subscriptionsStore(), subscriptionId, current => {
+        if (!current) {
+            return undefined;
+        }
+
+        const fields = changes(current);
+        return fields && { ...current, ...fields, updatedAt: new Date().toISOString() };
+    });
+    return subscription || null;
+}
+
+/**
+ * Stripe never reopens a canceled subscription, so a late event must not revive one
+ */
+async function setSubscriptionStatus(subscriptionId, status) {
+    return changeSubscription(subscriptionId, subscription => {
+        if (subscription.status === SUBSCRIPTION_STATUS.CANCELED && status !== SUBSCRIPTION_STATUS.CANCELED) {
+            console.log(`⚠️ Subscription ${subscriptionId} is already canceled, not moving it to ${status}`);
+            return undefined;
+        }
+
+        console.log(`🔁 Subscription ${subscriptionId} -> ${status}`);
+        return { status };
+    });
+}
+
+function hasCycle(subscription, invoiceId) {
+    return subscription.cycles.some(cycle => cycle.invoiceId === invoiceId);
+}
+
+/**
+ * Record a paid billing cycle and the run it started
+ */
+async function recordCycle(subscriptionId, cycle) {
+    return changeSubscription(subscriptionId, subscription => {
+        if (hasCycle(subscription, cycle.invoiceId)) {
+            return undefined;
+        }
+        return { cycles: [...subscription.cycles, { ...cycle, at: new Date().toISOString() }] };
+    });
+}
+
+/**
+ * Customers manage a subscription through a link carrying an HMAC of its ID,
+ * so no account or login is needed.
+ */
+function createManageToken(subscriptionId) {
+    const secret = process.env.SUBSCRIPTION_MANAGE_SECRET;
+    if (!secret) {
+        throw new Error('SUBSCRIPTION_MANAGE_SECRET is not configured');
+    }
+    return crypto.createHmac('sha256', secret).update(subscriptionId).digest('hex');
+}
+
+function verifyManageToken(subscriptionId, token) {
+    if (!token || typeof token !== 'string') {
+        return false;
+    }
+
+    const expected = Buffer.from(createManageToken(subscriptionId));
+    const provided = Buffer.from(token);
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+/**
+ * Link customers use to pause, resume or cancel. Null when management links are not configured.
+ */
+function getManageUrl(subscription) {
+    if (!process.env.SUBSCRIPTION_MANAGE_SECRET) {
+        console.log('ℹ️ No SUBSCRIPTION_MANAGE_SECRET configured, skipping manage link');
+        return null;
+    }
+
+    const baseUrl = subscription.baseUrl || `https://${process.env.VERCEL_URL}`;
+    const params = new URLSearchParams({
+        subscription: subscription.subscriptionId,
+        token: createManageToken(subscription.subscriptionId)
+    });
+    return `${baseUrl}/lead-scraper/manage-subscription?${params}`;
+}
+
+module.exports = {
+    SUBSCRIPTION_STATUS,
+    BILLING_INTERVALS,
+    getSubscription,
+    createSubscription,
+    setSubscriptionStatus,
+    hasCycle,
+    recordCycle,
+    verifyManageToken,
+    getManageUrl
+};
@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const { openStore, updateRecord } = require('./store');
+const {
+    getOrder,
+    markRetryPending,
+    markOrderFailed,
+    isOrderProcessed,
+    isOrderClosed
+} = require('./order-repository');
+const { fulfillOrder } = require('./fulfillment');
+
+/**
+ * Retry queue for paid orders whose scraper run could not be started.
+ *
+ * A job is keyed by its order key (Stripe session or invoice ID):
+ *   pending   - waiting for its next attempt at nextAttemptAt
+ *   in_flight - claimed by a worker (cron, CLI or operator re-drive) until leaseUntil
+ *   dead      - gave up after TRIGGER_MAX_ATTEMPTS attempts, needs an operator
+ * A job is claimed with a compare-and-swap before its run is triggered, so overlapping
+ * workers never start the same order twice. Jobs are removed once their run starts. While a job is pending its order is retry_pending;
+ * the order only becomes failed when the job is dead-lettered.
+ *
+ * TRIGGER_MAX_ATTEMPTS     - attempts before a job is dead-lettered (default 5)
+ * TRIGGER_RETRY_BASE_DELAY - delay before the first retry in ms (default 60000),
+ *                            doubled on every attempt up to MAX_RETRY_DELAY
+ */
+const JOB_STATUS = {
+    PENDING: 'pending',
+    IN_FLIGHT: 'in_flight',
+    DEAD: 'dead'
+};
+
+const MAX_RETRY_DELAY = 6 * 60 * 60 * 1000;
+
+// Well above the trigger request timeout; a worker that died mid-attempt loses its claim after this
+const LEASE_DURATION = 5 * 60 * 1000;
+
+function jobsStore() {
+    return openStore('trigger-jobs');
+}
+
+function getMaxAttempts() {
+    return parseInt(process.env.TRIGGER_MAX_ATTEMPTS) || 5;
+}
+
+function getRetryDelay(attempts) {
+    const baseDelay = parseInt(process.env.TRIGGER_RETRY_BASE_DELAY) || 60000;
+    return Math.min(baseDelay * Math.pow(2, attempts - 1), MAX_RETRY_DELAY);
+}
+
+async function getJob(orderKey) {
+    return jobsStore().get(orderKey);
+}
+
+async function listJobs(status = null) {
+    const jobs = await jobsStore().list();
+    return jobs
+        .filter(job => !status || job.status === status)
+        .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt);
+}
+
+function isLeased(job, now = Date.now()) {
+    return job.status === JOB_STATUS.IN_FLIGHT && job.leaseUntil > now;
+}
+
+/**
+ * Take a job for one attempt. Resolves to the claimed job, or null if it is gone or
+ * another worker holds it. `canClaim(job)` narrows which jobs may be taken.
+ */
+async function claimJob(orderKey, canClaim = () => true) {
+    const leaseToken = crypto.randomUUID();
+    const now = Date.now();
+
+    const job = await updateRecord(jobsStore(), orderKey, current => {
+        if (!current || isLeased(current, now) || !canClaim(current)) {
+            return undefined;
+        }
+        return { ...current, status: JOB_STATUS.IN_FLIGHT, leaseToken, leaseUntil: now + LEASE_DURATION };
+    });
+
+    return job && job.leaseToken === leaseToken ? job : null;
+}
+
+/**
+ * Record a failed attempt, scheduling the next one or dead-lettering the job.
+ * A claimed job is only written back while this worker still holds its lease.
+ */
+async function recordFailure(job, error) {
+    const attempts = job.attempts + 1;
+    const now = Date.now();
+    const dead = attempts >= getMaxAttempts();
+
+    const { leaseToken, leaseUntil, ...unleased } = job;
+    const updated = {
+        ...unleased,
+        attempts,
+        status: dead ? JOB_STATUS.DEAD : JOB_STATUS.PENDING,
+        nextAttemptAt: dead ? null : now + getRetryDelay(attempts),
+        lastError: error instanceof Error ? error.message : String(error),
+        updatedAt: new Date(now).toISOString()
+    };
+
+    let written = false;
+    await updateRecord(jobsStore(), job.orderKey, current => {
+        written = !current || current.leaseToken === leaseToken;
+        return written ? updated : undefined;
+    });
+    if (!written) {
+        console.log(`⚠️ Trigger job ${job.orderKey} was taken over by another worker, not recording this attempt`);
+        return updated;
+    }
+
+    if (dead) {
+        await markOrderFailed(job.orderKey, updated.lastError, { attempts });
+        console.error(`💀 Trigger for order ${job.orderKey} dead-lettered after ${attempts} attempts: ${updated.lastError}`);
+    } else {
+        await markRetryPending(job.orderKey, updated.lastError, { attempts, nextAttemptAt: updated.nextAttemptAt });
+        console.log(`🔁 Trigger for order ${job.orderKey} failed (attempt ${attempts}), retrying at ${new Date(updated.nextAttemptAt).toISOString()}`);
+    }
+    return updated;
+}
+
+/**
+ * Queue a paid order whose first trigger attempt just failed
+ */
+async function enqueueTrigger(orderKey, order, amountPaid, emailExtras, error) {
+    const existing = await getJob(orderKey);
+    if (existing) {
+        return recordFailure(existing, error);
+    }
+
+    return recordFailure({
+        orderKey,
+        order,
+        amountPaid,
+        emailExtras: emailExtras || {},
+        attempts: 0,
+        createdAt: new Date().toISOString()
+    }, error);
+}
+
+/**
+ * Attempt one claimed job now. Returns the run ID, or null if the job failed or was dropped.
+ */
+async function attemptJob(job) {
+    // The order may have been started some other way, refunded or disputed in the meantime
+    const order = await getOrder(job.orderKey);
+    if (isOrderProcessed(order) || isOrderClosed(order)) {
+        console.log(`ℹ️ Order ${job.orderKey} is ${order.status}, dropping its trigger job`);
+        await jobsStore().remove(job.orderKey);
+        return null;
+    }
+
+    try {
+        const runId = await fulfillOrder(job.orderKey, job.order, job.amountPaid, job.emailExtras);
+        await jobsStore().remove(job.orderKey);
+
+        if (runId) {
+            console.log(`✅ Trigger for order ${job.orderKey} succeeded on attempt ${job.attempts + 1}: run ${runId}`);
+        }
+        return runId;
+    } catch (error) {
+        await recordFailure(job, error);
+        return null;
+    }
+}
+
+function isDue(job, now = Date.now()) {
+    return (job.status === JOB_STATUS.PENDING && job.nextAttemptAt <= now)
+        || (job.status === JOB_STATUS.IN_FLIGHT && job.leaseUntil <= now);
+}
+
+/**
+ * Retry every pending job whose backoff has elapsed, and every job whose worker lost its
+ * lease. Jobs another worker claims first are skipped. Returns a summary for logs and the CLI.
+ */
+async function processDueJobs({ limit = 25 } = {}) {
+    const due = (await jobsStore().list())
+        .filter(job => isDue(job))
+        .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)
+        .slice(0, limit);
+
+    const summary = { processed: 0, started: 0, failed: 0, skipped: 0 };
+    for (const candidate of due) {
+        const job = await claimJob(candidate.orderKey, current => isDue(current));
+        if (!job) {
+            summary.skipped++;
+            continue;
+        }
+
+        summary.processed++;
+        if (await attemptJob(job)) {
+            summary.started++;
+        } else {
+            summary.failed++;
+        }
+    }
+
+    return summary;
+}
+
+/**
+ * Operator re-drive of one order, whether queued, dead-lettered or only recorded
+ * as failed in the order repository.
+ */
+async function redriveOrder(orderKey) {
+    if (await getJob(orderKey)) {
+        const job = await claimJob(orderKey);
+        if (!job) {
+            throw new Error(`Trigger for order ${orderKey} is being retried by another worker right now`);
+        }
+        return attemptJob(job);
+    }
+
+    const order = await getOrder(orderKey);
+    if (!order) {
+        throw new Error(`No order or trigger job found for ${orderKey}`);
+    }
+    if (isOrderProcessed(order) || isOrderClosed(order)) {
+        throw new Error(`Order ${orderKey} is ${order.status} and cannot be re-driven`);
+    }
+
+    // Create the job already claimed, so a second re-drive of the same order backs off
+    const job = {
+        orderKey,
+        order,
+        amountPaid: order.amountPaid || 0,
+        emailExtras: {},
+        attempts: 0,
+        createdAt: new Date().toISOString(),
+        status: JOB_STATUS.IN_FLIGHT,
+        leaseToken: crypto.randomUUID(),
+        leaseUntil: Date.now() + LEASE_DURATION
+    };
+    if (!(await jobsStore().insert(orderKey, job))) {
+        throw new Error(`Trigger for order ${orderKey} is being retried by another worker right now`);
+    }
+    return attemptJob(job);
+}
+
+module.exports = {
+    JOB_STATUS,
+    getJob,
+    listJobs,
+    enqueueTrigger,
+    processDueJobs,
+    redriveOrder
+};
@@ -0,0 +1,147 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { signatureHeaders } = require('./webhook-signature');
+
+/**
+ * Batched webhook delivery - leads are posted in sequenced batches instead of one huge body,
+ * followed by a "complete" envelope once every batch has been accepted:
+ *
+ *   { type: 'batch',    deliveryId, batchIndex, batchCount, data: [...], metadata }
+ *   { type: 'complete', deliveryId, batchCount, totalRecords, data: [], metadata }
+ *
+ * Receivers can process each batch as it arrives or collect them by deliveryId and wait
+ * for "complete", which carries the final batchCount and totalRecords. Batch size comes
+ * from the batchSize option or WEBHOOK_BATCH_SIZE (default 1000).
+ *
+ * batchCount on a batch envelope is known up front when every source item is sent - a dataset
+ * delivered as it is. When leads are filtered while they stream (quality filters, dedupe,
+ * top-up scraping) the count is only known at the end, so batch envelopes carry
+ * batchCount: null and receivers take it from "complete".
+ *
+ * Each request is signed with the destination's secret (the secret option, or WEBHOOK_SECRET)
+ * - see lib/webhook-signature.js.
+ */
+const DEFAULT_BATCH_SIZE = 1000;
+
+function getBatchSize(batchSize) {
+    return parseInt(batchSize) || parseInt(process.env.WEBHOOK_BATCH_SIZE) || DEFAULT_BATCH_SIZE;
+}
+
+/**
+ * POST a JSON body, signed when a secret is given. The body is serialized here so the
+ * signature covers exactly the bytes that are sent.
+ */
+async function postSigned(webhookUrl, payload, { userAgent, timeout, secret }) {
+    const body = JSON.stringify(payload);
+
+    return axios.post(webhookUrl, body, {
+        headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': userAgent,
+            ...(secret ? signatureHeaders(body, secret) : {})
+        },
+        timeout,
+        maxBodyLength: Infinity
+    });
+}
+
+/**
+ * Open a batched delivery that items can be added to as they are read, so a large dataset
+ * is never held in memory at once. Full batches are posted as they fill up; finish() posts
+ * what is left and the "complete" envelope. Throws if any request is rejected.
+ *
+ * Options: batchSize, userAgent, timeout (per request, default 60000), deliveryId, secret,
+ * itemCount (number of items that will be added, when known - sets batchCount on every
+ * batch), startBatch (skip the batches before this index - already accepted when resuming),
+ * onBatchSent(batchIndex)
+ *
+ * A 409 on "complete" means the receiver no longer has the earlier batches (it restarted or
+ * expired them); the error gets code DELIVERY_INCOMPLETE and the delivery has to start over.
+ */
+function openBatchedDelivery(webhookUrl, metadata = {}, options = {}) {
+    const batchSize = getBatchSize(options.batchSize);
+    const deliveryId = options.deliveryId || crypto.randomUUID();
+    const startBatch = options.startBatch || 0;
+    const batchCount = Number.isInteger(options.itemCount) ? Math.ceil(options.itemCount / batchSize) : null;
+    const requestOptions = {
+        userAgent: options.userAgent || 'Apify-Apollo-Scraper/1.0',
+        timeout: options.timeout || 60000,
+        secret: options.secret || process.env.WEBHOOK_SECRET || null
+    };
+
+    if (!requestOptions.secret) {
+        console.warn('⚠️ No webhook secret configured, delivery will not be signed');
+    }
+
+    console.log(`📤 Delivery ${deliveryId}: batches of up to ${batchSize}${startBatch ? `, resuming at batch ${startBatch + 1}` : ''}`);
+
+    let pending = [];
+    let batchIndex = 0;
+    let totalRecords = 0;
+
+    async function sendBatch(data) {
+        const index = batchIndex++;
+        if (index < startBatch) {
+            return;
+        }
+
+        const response = await postSigned(webhookUrl, {
+            type: 'batch',
+            deliveryId,
+            batchIndex: index,
+            batchCount,
+            data,
+            metadata
+        }, requestOptions);
+
+        console.log(`✅ Batch ${index + 1}${batchCount ? `/${batchCount}` : ''} (${data.length} items): ${response.status}`);
+        if (options.onBatchSent) {
+            await options.onBatchSent(index);
+        }
+    }
+
+    return {
+        deliveryId,
+
+        async add(items) {
+            totalRecords += items.length;
+            pending = pending.concat(items);
+            while (pending.length >= batchSize) {
+                const data = pending.slice(0, batchSize);
+                pending = pending.slice(batchSize);
+                await sendBatch(data);
+            }
+        },
+
+        // finalMetadata replaces the metadata on the "complete" envelope, e.g. with final counts
+        async finish(finalMetadata = metadata) {
+            if (pending.length > 0) {
+                const data = pending;
+                pending = [];
+                await sendBatch(data);
+            }
+
+            let response;
+            try {
+                response = await postSigned(webhookUrl, {
+                    type: 'complete',
+                    deliveryId,
+                    batchCount: batchIndex,
+                    totalRecords,
+                    data: [],
+                    metadata: finalMetadata
+                }, requestOptions);
+            } catch (error) {
+                if (error.response?.status === 409) {
+                    error.code = 'DELIVERY_INCOMPLETE';
+                }
+                throw error;
+            }
+
+            console.log(`✅ Delivery ${deliveryId} complete: ${totalRecords} items in ${batchIndex} batches, ${response.status}`);
+            return { deliveryId, batchCount: batchIndex, totalRecords, response };
+        }
+    };
+}
+
+module.exports = { DEFAULT_BATCH_SIZE, openBatchedDelivery, postSigned };
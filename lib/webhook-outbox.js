@@ -0,0 +1,395 @@
+const crypto = require('crypto');
+const { openStore, updateRecord } = require('./store');
+const { readDatasetPages } = require('./dataset-reader');
+const { openDestinationDelivery } = require('./destinations');
+
+/**
+ * Persistent outbox for webhook deliveries. A delivery is written to the store before the
+ * first request is made and removed once the receiver has accepted every batch, so a failing
+ * receiver delays the data instead of losing it.
+ *
+ * An entry points at its source - an Apify dataset, read page by page on every attempt - rather
+ * than holding a copy of the leads, along with the destination's filter and field mapping.
+ *
+ * An entry is keyed by its deliveryId:
+ *   pending   - waiting for its next attempt at nextAttemptAt
+ *   in_flight - claimed by one worker until leaseUntil; the lease is renewed after every
+ *               accepted batch, and an entry whose worker died is picked up once it lapses
+ *   failed    - rejected with a non-retryable 4xx, out of attempts or older than the max age;
+ *               kept until an operator retries or purges it
+ * Every monitor process and the CLI may run a worker over the same outbox: entries are
+ * claimed with a compare-and-swap, and a worker only writes back an entry it still holds.
+ * Retries resume from the first batch the receiver has not accepted. A receiver that lost the
+ * earlier batches answers "complete" with a 409, and the next attempt starts from the first batch.
+ *
+ * WEBHOOK_OUTBOX_MAX_ATTEMPTS   - attempts before a delivery fails (default 10)
+ * WEBHOOK_RETRY_BASE_DELAY      - delay before the first retry in ms (default 30000), doubled
+ *                                 on every attempt up to MAX_RETRY_DELAY, with random jitter
+ * WEBHOOK_OUTBOX_MAX_AGE_HOURS  - give up on deliveries older than this (default 24)
+ */
+const DELIVERY_STATUS = {
+    PENDING: 'pending',
+    IN_FLIGHT: 'in_flight',
+    DELIVERED: 'delivered',
+    FAILED: 'failed'
+};
+
+const MAX_RETRY_DELAY = 60 * 60 * 1000;
+
+// Several times the per-request timeout; renewed after every accepted batch
+const LEASE_DURATION = 5 * 60 * 1000;
+
+// 4xx responses that can succeed later; any other 4xx means the request itself is wrong
+const RETRYABLE_CLIENT_ERRORS = [408, 425, 429];
+
+function outboxStore() {
+    return openStore('webhook-outbox');
+}
+
+function getMaxAttempts() {
+    return parseInt(process.env.WEBHOOK_OUTBOX_MAX_ATTEMPTS) || 10;
+}
+
+function getMaxAge() {
+    return (parseFloat(process.env.WEBHOOK_OUTBOX_MAX_AGE_HOURS) || 24) * 60 * 60 * 1000;
+}
+
+function getRetryDelay(attempts) {
+    const baseDelay = parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY) || 30000;
+    const delay = Math.min(baseDelay * Math.pow(2, attempts - 1), MAX_RETRY_DELAY);
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+function isRetryable(error) {
+    if (!error.response) {
+        return true; // network error or timeout
+    }
+    const status = error.response.status;
+    return status >= 500 || RETRYABLE_CLIENT_ERRORS.includes(status);
+}
+
+async function getDelivery(id) {
+    return outboxStore().get(id);
+}
+
+async function listDeliveries(status = null) {
+    const entries = await outboxStore().list();
+    return entries
+        .filter(entry => !status || entry.status === status)
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+function isLeased(entry, now = Date.now()) {
+    return entry.status === DELIVERY_STATUS.IN_FLIGHT && entry.leaseUntil > now;
+}
+
+function isDue(entry, now = Date.now()) {
+    return (entry.status === DELIVERY_STATUS.PENDING && entry.nextAttemptAt <= now)
+        || (entry.status === DELIVERY_STATUS.IN_FLIGHT && entry.leaseUntil <= now);
+}
+
+/**
+ * Take an entry for one attempt. `prepare(entry)` returns the entry to attempt, or undefined
+ * to leave it. Resolves to the claimed entry, or null if it is gone, leased by another
+ * worker or left alone.
+ */
+async function claimDelivery(id, prepare = entry => entry) {
+    const leaseToken = crypto.randomUUID();
+    const now = Date.now();
+
+    const entry = await updateRecord(outboxStore(), id, current => {
+        const prepared = current && !isLeased(current, now) ? prepare(current) : undefined;
+        if (!prepared) {
+            return undefined;
+        }
+        return { ...prepared, status: DELIVERY_STATUS.IN_FLIGHT, leaseToken, leaseUntil: now + LEASE_DURATION };
+    });
+
+    return entry && entry.leaseToken === leaseToken ? entry : null;
+}
+
+/**
+ * Write back an entry this worker claimed. `change(current)` returns the new entry; nothing
+ * is written once another worker has taken the entry over. Resolves to true if written.
+ */
+async function writeClaimed(entry, change) {
+    let held = false;
+    await updateRecord(outboxStore(), entry.id, current => {
+        held = !!current && current.leaseToken === entry.leaseToken;
+        return held ? change(current) : undefined;
+    });
+
+    if (!held) {
+        console.log(`⚠️ Webhook delivery ${entry.id} was taken over by another worker, not recording this attempt`);
+    }
+    return held;
+}
+
+function release(entry) {
+    const { leaseToken, leaseUntil, ...released } = entry;
+    return released;
+}
+
+async function markFailed(entry, reason, fields = {}) {
+    const updated = {
+        ...release(entry),
+        ...fields,
+        status: DELIVERY_STATUS.FAILED,
+        failureReason: reason,
+        nextAttemptAt: null,
+        updatedAt: new Date().toISOString()
+    };
+
+    if (!(await writeClaimed(entry, () => updated))) {
+        return updated;
+    }
+    console.error(`💀 Webhook delivery ${entry.id} failed (${reason}) after ${updated.attempts} attempts: ${updated.lastError}`);
+    return updated;
+}
+
+/**
+ * Record a failed attempt, scheduling the next one or failing the delivery
+ */
+async function recordFailure(entry, error, batchesSent) {
+    if (error.code === 'DELIVERY_INCOMPLETE') {
+        console.log(`⚠️ Receiver lost the batches of delivery ${entry.id}, restarting it from the first batch`);
+        batchesSent = 0;
+    }
+
+    const attempts = entry.attempts + 1;
+    const now = Date.now();
+    const fields = {
+        attempts,
+        batchesSent,
+        lastError: error.message,
+        lastStatusCode: error.response?.status || null
+    };
+
+    if (!isRetryable(error) && error.code !== 'DELIVERY_INCOMPLETE') {
+        return markFailed(entry, 'rejected', fields);
+    }
+    if (attempts >= getMaxAttempts()) {
+        return markFailed(entry, 'max-attempts', fields);
+    }
+
+    const nextAttemptAt = now + getRetryDelay(attempts);
+    if (nextAttemptAt - new Date(entry.createdAt).getTime() > getMaxAge()) {
+        return markFailed(entry, 'expired', fields);
+    }
+
+    const updated = {
+        ...release(entry),
+        ...fields,
+        status: DELIVERY_STATUS.PENDING,
+        nextAttemptAt,
+        updatedAt: new Date(now).toISOString()
+    };
+
+    if (!(await writeClaimed(entry, () => updated))) {
+        return updated;
+    }
+    console.log(`🔁 Webhook delivery ${entry.id} failed (attempt ${attempts}, ${batchesSent} batches accepted), retrying at ${new Date(nextAttemptAt).toISOString()}`);
+    return updated;
+}
+
+/**
+ * Signing secrets are never persisted: use the one for the entry's destination, if given,
+ * or the default secret
+ */
+function secretFor(entry, { secret, secrets } = {}) {
+    return (entry.destination && secrets?.[entry.destination]) || secret || null;
+}
+
+/**
+ * Pages of leads for an entry: its dataset, read with the Apify token (also never persisted),
+ * or the items stored on it
+ */
+function readEntryPages(entry, { token } = {}) {
+    if (entry.source?.datasetId) {
+        return readDatasetPages(entry.source.datasetId, { token: token || process.env.APIFY_TOKEN });
+    }
+    return [entry.data || []];
+}
+
+/**
+ * Attempt one claimed delivery now. Returns true once the receiver has accepted all of it.
+ *
+ * Options: secret (default signing secret), secrets (by destination name), token (Apify API token)
+ */
+async function attemptDelivery(entry, options = {}) {
+    let batchesSent = entry.batchesSent || 0;
+
+    // Keep the claim alive and the progress on record while batches go out
+    async function renewLease() {
+        const renewed = await writeClaimed(entry, current => ({ ...current, batchesSent, leaseUntil: Date.now() + LEASE_DURATION }));
+        if (!renewed) {
+            const error = new Error(`Lost the claim on webhook delivery ${entry.id}`);
+            error.code = 'LEASE_LOST';
+            throw error;
+        }
+    }
+
+    try {
+        const delivery = openDestinationDelivery({
+            name: entry.destination || 'default',
+            url: entry.url,
+            secret: secretFor(entry, options),
+            batchSize: entry.batchSize,
+            fieldMapping: entry.fieldMapping || null,
+            filter: entry.filter || null,
+            notifyOnly: entry.notifyOnly === true
+        }, entry.metadata, {
+            deliveryId: entry.id,
+            userAgent: entry.userAgent,
+            itemCount: entry.source ? entry.source.itemCount : entry.data?.length,
+            startBatch: batchesSent,
+            onBatchSent: async batchIndex => {
+                batchesSent = batchIndex + 1;
+                await renewLease();
+            }
+        });
+
+        for await (const leads of readEntryPages(entry, options)) {
+            await delivery.add(leads);
+        }
+        await delivery.finish();
+
+        // Marked delivered first, so the entry is only removed while this worker still holds it
+        if (await writeClaimed(entry, current => ({ ...current, status: DELIVERY_STATUS.DELIVERED }))) {
+            await outboxStore().remove(entry.id);
+        }
+        if (entry.attempts > 0) {
+            console.log(`✅ Webhook delivery ${entry.id} succeeded on attempt ${entry.attempts + 1}`);
+        }
+        return true;
+    } catch (error) {
+        if (error.code === 'LEASE_LOST') {
+            console.log(`⚠️ ${error.message}, leaving it to the other worker`);
+            return false;
+        }
+        await recordFailure(entry, error, batchesSent);
+        return false;
+    }
+}
+
+/**
+ * Write a delivery to the outbox and make the first attempt. Never throws on delivery
+ * errors - a failed delivery stays in the outbox for processDueDeliveries.
+ *
+ * destination - a resolved destination (see lib/destinations.js); its secret is not stored
+ * source      - { datasetId, itemCount } to stream an Apify dataset (itemCount, when known,
+ *               sets batchCount on every batch), or an array of leads
+ * Options: userAgent, token (Apify API token for reading the dataset)
+ * Returns { deliveryId, delivered, status } - status is the outbox status if not delivered
+ */
+async function sendDelivery(destination, source, metadata = {}, { userAgent, token } = {}) {
+    const entry = {
+        id: crypto.randomUUID(),
+        destination: destination.name || null,
+        url: destination.url,
+        source: Array.isArray(source) ? null : source,
+        data: Array.isArray(source) ? source : null,
+        filter: destination.filter || null,
+        fieldMapping: destination.fieldMapping || null,
+        notifyOnly: destination.notifyOnly === true,
+        metadata,
+        batchSize: destination.batchSize || null,
+        userAgent: userAgent || null,
+        // Written already claimed by this process for its first attempt
+        status: DELIVERY_STATUS.IN_FLIGHT,
+        leaseToken: crypto.randomUUID(),
+        leaseUntil: Date.now() + LEASE_DURATION,
+        attempts: 0,
+        batchesSent: 0,
+        nextAttemptAt: Date.now(),
+        createdAt: new Date().toISOString()
+    };
+
+    await outboxStore().insert(entry.id, entry);
+
+    const delivered = await attemptDelivery(entry, { secret: destination.secret, token });
+    if (delivered) {
+        return { deliveryId: entry.id, delivered, status: DELIVERY_STATUS.DELIVERED };
+    }
+
+    const { status } = (await getDelivery(entry.id)) || { status: DELIVERY_STATUS.IN_FLIGHT };
+    return { deliveryId: entry.id, delivered, status };
+}
+
+/**
+ * Retry every pending delivery whose backoff has elapsed, and every delivery whose worker
+ * lost its lease. Deliveries another worker claims first are skipped. Returns a summary for
+ * logs and the CLI.
+ */
+async function processDueDeliveries({ limit = 10, secret, secrets, token } = {}) {
+    const due = (await outboxStore().list())
+        .filter(entry => isDue(entry))
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+        .slice(0, limit);
+
+    const summary = { processed: 0, delivered: 0, failed: 0, skipped: 0 };
+    for (const candidate of due) {
+        const entry = await claimDelivery(candidate.id, current => (isDue(current) ? current : undefined));
+        if (!entry) {
+            summary.skipped++;
+            continue;
+        }
+
+        summary.processed++;
+        if (await attemptDelivery(entry, { secret, secrets, token })) {
+            summary.delivered++;
+        } else {
+            summary.failed++;
+        }
+    }
+
+    return summary;
+}
+
+/**
+ * Operator retry of one delivery now, whether pending or failed. A failed delivery gets a
+ * fresh set of attempts and a fresh max age window. The delivery is resent from the first
+ * batch, since the receiver may have dropped the batches it accepted earlier.
+ */
+async function retryDelivery(id, { secret, secrets, token } = {}) {
+    if (!(await getDelivery(id))) {
+        throw new Error(`No webhook delivery found for ${id}`);
+    }
+
+    const retry = await claimDelivery(id, entry => (entry.status === DELIVERY_STATUS.FAILED
+        ? { ...entry, attempts: 0, batchesSent: 0, failureReason: null, createdAt: new Date().toISOString() }
+        : { ...entry, batchesSent: 0 }));
+    if (!retry) {
+        throw new Error(`Webhook delivery ${id} is being sent by another worker right now`);
+    }
+
+    return attemptDelivery(retry, { secret, secrets, token });
+}
+
+/**
+ * Remove one failed delivery, or every failed delivery when no ID is given.
+ * Returns the number removed.
+ */
+async function purgeDeliveries(id = null) {
+    const failed = await listDeliveries(DELIVERY_STATUS.FAILED);
+    const targets = id ? failed.filter(entry => entry.id === id) : failed;
+
+    if (id && targets.length === 0) {
+        throw new Error(`No failed webhook delivery found for ${id}`);
+    }
+
+    for (const entry of targets) {
+        await outboxStore().remove(entry.id);
+    }
+    return targets.length;
+}
+
+module.exports = {
+    DELIVERY_STATUS,
+    getDelivery,
+    listDeliveries,
+    sendDelivery,
+    processDueDeliveries,
+    retryDelivery,
+    purgeDeliveries
+};
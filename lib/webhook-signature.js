@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+
+/**
+ * Signed outgoing webhooks, modelled on Stripe's scheme. Every request carries:
+ *
+ *   X-Apollo-Timestamp: <unix seconds>
+ *   X-Apollo-Signature: v1=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+ *
+ * signed with the destination's secret. Receivers recompute the HMAC over the raw body,
+ * reject timestamps outside the tolerance window and remember signatures they have seen
+ * so a captured request cannot be replayed.
+ */
+const SIGNATURE_HEADER = 'x-apollo-signature';
+const TIMESTAMP_HEADER = 'x-apollo-timestamp';
+const DEFAULT_TOLERANCE = 300;
+
+const SIGNATURE_ERRORS = {
+    MISSING: 'SIGNATURE_MISSING',
+    INVALID: 'SIGNATURE_INVALID',
+    EXPIRED: 'SIGNATURE_EXPIRED',
+    REPLAYED: 'SIGNATURE_REPLAYED'
+};
+
+class WebhookSignatureError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'WebhookSignatureError';
+        this.code = code;
+    }
+}
+
+function computeSignature(body, secret, timestamp) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Headers to send with `body` (the exact string that will be posted)
+ */
+function signatureHeaders(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+    return {
+        'X-Apollo-Timestamp': String(timestamp),
+        'X-Apollo-Signature': `v1=${computeSignature(body, secret, timestamp)}`
+    };
+}
+
+/**
+ * Remembers signatures for the tolerance window. Pass one instance to every verifySignature
+ * call of a receiver to reject replays.
+ */
+function createReplayGuard(tolerance = DEFAULT_TOLERANCE) {
+    const seen = new Map();
+
+    return {
+        check(signature, now = Math.floor(Date.now() / 1000)) {
+            for (const [value, at] of seen) {
+                if (now - at > tolerance * 2) {
+                    seen.delete(value);
+                }
+            }
+
+            if (seen.has(signature)) {
+                return false;
+            }
+            seen.set(signature, now);
+            return true;
+        }
+    };
+}
+
+/**
+ * Verify a received webhook. `rawBody` is the unparsed body (Buffer or string) and `headers`
+ * the request headers (lower-case keys, as in Node). Throws WebhookSignatureError.
+ *
+ * Options: tolerance (seconds, default 300), replayGuard (from createReplayGuard)
+ */
+function verifySignature(rawBody, headers, secret, { tolerance = DEFAULT_TOLERANCE, replayGuard = null } = {}) {
+    const signatureHeader = headers[SIGNATURE_HEADER];
+    const timestamp = parseInt(headers[TIMESTAMP_HEADER]);
+
+    if (!signatureHeader || !timestamp) {
+        throw new WebhookSignatureError(SIGNATURE_ERRORS.MISSING, 'Request is not signed');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (Math.abs(now - timestamp) > tolerance) {
+        throw new WebhookSignatureError(SIGNATURE_ERRORS.EXPIRED, 'Signature timestamp is outside the tolerance window');
+    }
+
+    const expected = Buffer.from(computeSignature(rawBody.toString(), secret, timestamp));
+    const matches = signatureHeader.split(',')
+        .map(part => part.trim())
+        .filter(part => part.startsWith('v1='))
+        .some(part => {
+            const provided = Buffer.from(part.substring(3));
+            return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+        });
+
+    if (!matches) {
+        throw new WebhookSignatureError(SIGNATURE_ERRORS.INVALID, 'Signature does not match the request body');
+    }
+
+    if (replayGuard && !replayGuard.check(signatureHeader, now)) {
+        throw new WebhookSignatureError(SIGNATURE_ERRORS.REPLAYED, 'Request has already been received');
+    }
+}
+
+module.exports = {
+    SIGNATURE_ERRORS,
+    WebhookSignatureError,
+    signatureHeaders,
+    verifySignature,
+    createReplayGuard
+};
@@ -0,0 +1,79 @@
+const { reconcileSessions } = require('./lib/reconciliation');
+
+/**
+ * Reconciliation - report paid Stripe sessions that never produced a scraper run
+ *
+ * Needs STRIPE_SECRET_KEY and the same store as the API (STORE_BACKEND, STORE_DIR,
+ * STORE_SQLITE_PATH); --trigger also needs APIFY_TOKEN and APOLLO_ACTOR_ID.
+ */
+
+function parseArgs(args) {
+    const options = { trigger: false };
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--trigger') {
+            options.trigger = true;
+        } else if (args[i] === '--since') {
+            options.since = new Date(args[++i]);
+        } else if (args[i] === '--until') {
+            options.until = new Date(args[++i]);
+        } else if (args[i] === '--hours') {
+            options.since = new Date(Date.now() - parseFloat(args[++i]) * 60 * 60 * 1000);
+        } else if (args[i] === '--help') {
+            options.help = true;
+        } else {
+            throw new Error(`Unknown option: ${args[i]}`);
+        }
+    }
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.help) {
+        console.log(`
+🧾 Apollo Scraper Reconciliation
+
+Usage:
+  node reconcile.js                            - Check sessions from the last 24 hours
+  node reconcile.js --hours 72                 - Check sessions from the last 72 hours
+  node reconcile.js --since 2026-10-01 [--until 2026-10-08]
+  node reconcile.js --hours 72 --trigger       - Also start the missing runs
+        `);
+        return;
+    }
+
+    if ([options.since, options.until].some(date => date && isNaN(date))) {
+        throw new Error('--since and --until must be dates, e.g. 2026-10-01');
+    }
+
+    const report = await reconcileSessions(options);
+
+    console.log(`\n🧾 ${report.since} - ${report.until}`);
+    console.log(`Checked: ${report.checked}, processed: ${report.processed}, queued for retry: ${report.queued.length}`);
+    console.log(`Orphans: ${report.orphans.length}`);
+    report.orphans.forEach(orphan => {
+        console.log(`  🔍 ${orphan.sessionId}: ${orphan.email}, ${orphan.leads} leads, $${(orphan.amount / 100).toFixed(2)}, created ${orphan.created}`);
+        console.log(`     Order: ${orphan.orderStatus || 'missing'}${orphan.orderError ? ` (${orphan.orderError})` : ''}, claim: ${orphan.claimStatus || 'none'}`);
+    });
+
+    console.log(`Needs review: ${report.review.length}`);
+    report.review.forEach(order => {
+        console.log(`  ⚠️ ${order.sessionId}: ${order.email}, ${order.leads} leads - ${order.orderError || order.orderStatus}`);
+    });
+
+    if (options.trigger) {
+        const started = report.triggered.filter(result => result.started).length;
+        console.log(`\n✅ Started ${started} of ${report.triggered.length} missing runs`);
+        report.triggered.filter(result => !result.started).forEach(result => {
+            console.log(`  ❌ ${result.sessionId}: ${result.error || result.orderStatus || 'not started'}`);
+        });
+    } else if (report.orphans.length > 0) {
+        console.log('\nRun again with --trigger to start the missing runs');
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Reconciliation failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,78 @@
+const { JOB_STATUS, listJobs, processDueJobs, redriveOrder } = require('./lib/trigger-queue');
+
+/**
+ * Trigger retry worker - retries paid orders whose scraper run could not be started
+ *
+ * Uses the same store as the API (STORE_BACKEND, STORE_DIR, STORE_SQLITE_PATH) and
+ * needs APIFY_TOKEN and APOLLO_ACTOR_ID.
+ */
+
+function printJobs(title, jobs) {
+    console.log(`\n${title}: ${jobs.length}`);
+    jobs.forEach(job => {
+        const next = job.nextAttemptAt ? `next attempt ${new Date(job.nextAttemptAt).toISOString()}` : 'no further attempts';
+        console.log(`  🔍 ${job.orderKey}: ${job.attempts} attempts, ${next}`);
+        console.log(`     Last error: ${job.lastError}`);
+    });
+}
+
+async function runWorker(intervalSeconds) {
+    console.log(`🔁 Trigger retry worker started, checking every ${intervalSeconds}s`);
+    for (;;) {
+        const summary = await processDueJobs();
+        if (summary.processed > 0) {
+            console.log(`🔁 Retried ${summary.processed} jobs: ${summary.started} started, ${summary.failed} failed`);
+        }
+        await new Promise(resolve => setTimeout(resolve, intervalSeconds * 1000));
+    }
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const command = args[0];
+
+    if (!command) {
+        console.log(`
+🔁 Apollo Scraper Trigger Retry Queue
+
+Usage:
+  node retry-triggers.js list                 - Show pending, in-flight and dead-lettered jobs
+  node retry-triggers.js run                  - Retry every job that is due, once
+  node retry-triggers.js worker [seconds]     - Keep retrying due jobs (default every 60s)
+  node retry-triggers.js redrive <sessionId>  - Re-drive one order now, even if dead-lettered
+        `);
+        return;
+    }
+
+    if (command === 'list') {
+        printJobs('⏳ Pending', await listJobs(JOB_STATUS.PENDING));
+        printJobs('🏃 In flight', await listJobs(JOB_STATUS.IN_FLIGHT));
+        printJobs('💀 Dead-lettered', await listJobs(JOB_STATUS.DEAD));
+    } else if (command === 'run') {
+        const summary = await processDueJobs();
+        console.log(`✅ Retried ${summary.processed} jobs: ${summary.started} started, ${summary.failed} failed`);
+    } else if (command === 'worker') {
+        await runWorker(parseInt(args[1]) || 60);
+    } else if (command === 'redrive') {
+        const sessionId = args[1];
+        if (!sessionId) {
+            console.error('❌ Please provide a session ID to re-drive');
+            process.exit(1);
+        }
+
+        const runId = await redriveOrder(sessionId);
+        if (!runId) {
+            console.error(`❌ Order ${sessionId} could not be started`);
+            process.exit(1);
+        }
+        console.log(`✅ Order ${sessionId} started: run ${runId}`);
+    } else {
+        console.error(`❌ Unknown command: ${command}`);
+        process.exit(1);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Trigger retry failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,98 @@
+const { CONFIG } = require('./config.js');
+const { DELIVERY_STATUS, listDeliveries, processDueDeliveries, retryDelivery, purgeDeliveries } = require('./lib/webhook-outbox');
+const { resolveDestinations, destinationSecrets } = require('./lib/destinations');
+
+/**
+ * Webhook outbox - lists, retries and purges webhook deliveries that did not go through
+ *
+ * Uses the same store as the background monitor (STORE_BACKEND, STORE_DIR, STORE_SQLITE_PATH)
+ * and signs retries with their destination's secret from CONFIG.DESTINATIONS, falling back to
+ * CONFIG.WEBHOOK_SECRET or WEBHOOK_SECRET. Deliveries are re-read from their Apify dataset
+ * with CONFIG.APIFY_TOKEN.
+ */
+const secret = CONFIG.WEBHOOK_SECRET || process.env.WEBHOOK_SECRET;
+const token = CONFIG.APIFY_TOKEN || process.env.APIFY_TOKEN;
+
+function loadSecrets() {
+    if (!CONFIG.DESTINATIONS && !CONFIG.WEBHOOK_URL) {
+        return {};
+    }
+    return destinationSecrets(resolveDestinations(CONFIG.DESTINATIONS, { url: CONFIG.WEBHOOK_URL, secret }));
+}
+
+const secrets = loadSecrets();
+
+function printDeliveries(title, entries) {
+    console.log(`\n${title}: ${entries.length}`);
+    entries.forEach(entry => {
+        const next = entry.nextAttemptAt ? `next attempt ${new Date(entry.nextAttemptAt).toISOString()}` : `failed (${entry.failureReason})`;
+        const source = entry.source?.datasetId ? `dataset ${entry.source.datasetId}` : `${(entry.data || []).length} leads`;
+        console.log(`  🔍 ${entry.id}: ${source} to ${entry.destination || entry.url} (${entry.url}), created ${entry.createdAt}`);
+        console.log(`     ${entry.attempts} attempts, ${entry.batchesSent} batches accepted, ${next}`);
+        console.log(`     Last error: ${entry.lastError}${entry.lastStatusCode ? ` (HTTP ${entry.lastStatusCode})` : ''}`);
+    });
+}
+
+async function runWorker(intervalSeconds) {
+    console.log(`🔁 Webhook retry worker started, checking every ${intervalSeconds}s`);
+    for (;;) {
+        const summary = await processDueDeliveries({ secret, secrets, token });
+        if (summary.processed > 0) {
+            console.log(`🔁 Retried ${summary.processed} deliveries: ${summary.delivered} delivered, ${summary.failed} failed`);
+        }
+        await new Promise(resolve => setTimeout(resolve, intervalSeconds * 1000));
+    }
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const command = args[0];
+
+    if (!command) {
+        console.log(`
+📬 Apollo Scraper Webhook Outbox
+
+Usage:
+  node retry-webhooks.js list                  - Show pending, in-flight and failed deliveries
+  node retry-webhooks.js run                   - Retry every delivery that is due, once
+  node retry-webhooks.js worker [seconds]      - Keep retrying due deliveries (default every 60s)
+  node retry-webhooks.js retry <deliveryId>    - Retry one delivery now, even if it failed
+  node retry-webhooks.js purge [deliveryId]    - Remove one failed delivery, or all of them
+        `);
+        return;
+    }
+
+    if (command === 'list') {
+        printDeliveries('⏳ Pending', await listDeliveries(DELIVERY_STATUS.PENDING));
+        printDeliveries('🏃 In flight', await listDeliveries(DELIVERY_STATUS.IN_FLIGHT));
+        printDeliveries('💀 Failed', await listDeliveries(DELIVERY_STATUS.FAILED));
+    } else if (command === 'run') {
+        const summary = await processDueDeliveries({ secret, secrets, token });
+        console.log(`✅ Retried ${summary.processed} deliveries: ${summary.delivered} delivered, ${summary.failed} failed`);
+    } else if (command === 'worker') {
+        await runWorker(parseInt(args[1]) || 60);
+    } else if (command === 'retry') {
+        const deliveryId = args[1];
+        if (!deliveryId) {
+            console.error('❌ Please provide a delivery ID to retry');
+            process.exit(1);
+        }
+
+        if (!await retryDelivery(deliveryId, { secret, secrets, token })) {
+            console.error(`❌ Delivery ${deliveryId} failed again, see: node retry-webhooks.js list`);
+            process.exit(1);
+        }
+        console.log(`✅ Delivery ${deliveryId} delivered`);
+    } else if (command === 'purge') {
+        const removed = await purgeDeliveries(args[1] || null);
+        console.log(`🗑️ Purged ${removed} failed deliveries`);
+    } else {
+        console.error(`❌ Unknown command: ${command}`);
+        process.exit(1);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Webhook outbox failed:', error.message);
+    process.exit(1);
+});
@@ -2,6 +2,7 @@ const express = require('express');
 const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
+const { expressGuard } = require('./lib/api-guard');
 
 const app = express();
 const PORT = 3000;
@@ -19,7 +20,7 @@ app.get('/', (req, res) => {
 });
 
 // Start background monitoring endpoint
-app.post('/start-monitor', (req, res) => {
+app.post('/start-monitor', expressGuard({ name: 'start-monitor', methods: ['POST'] }), (req, res) => {
     const { runId } = req.body;
     
     if (!runId) {
@@ -94,7 +95,7 @@ app.post('/start-monitor', (req, res) => {
 });
 
 // Get status of all active monitors
-app.get('/monitor-status', (req, res) => {
+app.get('/monitor-status', expressGuard({ name: 'monitor-status', methods: ['GET'], limit: 30 }), (req, res) => {
     const status = Array.from(activeMonitors.entries()).map(([runId, info]) => ({
         runId: runId,
         startTime: info.startTime,
@@ -109,7 +110,7 @@ app.get('/monitor-status', (req, res) => {
 });
 
 // Stop a specific monitor
-app.post('/stop-monitor', (req, res) => {
+app.post('/stop-monitor', expressGuard({ name: 'stop-monitor', methods: ['POST'] }), (req, res) => {
     const { runId } = req.body;
     
     if (!activeMonitors.has(runId)) {
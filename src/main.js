@@ -1,9 +1,24 @@
 const Apify = require('apify');
 const axios = require('axios');
+const { parseApolloUrl } = require('../lib/apollo-url');
+const { SUBMISSION_STATUS, parseFilloutSubmission, updateFilloutSubmission } = require('../lib/fillout');
+const { readDatasetPages } = require('../lib/dataset-reader');
+const { DELIVERY_RESULT, resolveDestinations, streamToDestinations } = require('../lib/destinations');
+const { leadIdentities, loadLeadHistory } = require('../lib/lead-history');
+const { applyFieldMapping, mappedFieldNames } = require('../lib/field-mapping');
+const { normalizeLeads } = require('../lib/lead-normalization');
+const { scoreLeads, filterByQuality, scoreHistogram, parseQualityFilter } = require('../lib/lead-quality');
 
 // Load centralized configuration
 const { CONFIG, validateConfig, getConfigStatus } = require('../config.js');
 
+// Extra scrapes allowed to make up leads removed as previously delivered or below the quality bar
+const MAX_TOP_UP_ROUNDS = 3;
+const MAX_SCRAPE_RECORDS = 50000;
+
+// Items per page when falling back to the Apify client or our own dataset
+const DATASET_PAGE_SIZE = 1000;
+
 Apify.main(async () => {
     console.log('🚀 Starting Apollo Scraper with Automated Webhook Integration');
     
@@ -19,183 +34,199 @@ Apify.main(async () => {
     console.log('📥 Input received:', input);
     
     const {
-        url,
-        totalRecords = CONFIG.DEFAULT_SETTINGS.defaultLeads,
         fileName = CONFIG.DEFAULT_SETTINGS.defaultFileName,
         cleanOutput = CONFIG.DEFAULT_SETTINGS.cleanOutput,
-        webhookUrl = CONFIG.WEBHOOK_URL // Use configured webhook URL as default
+        normalizeOutput = true, // Add normalized phones, names, title buckets and location codes
+        webhookUrl = CONFIG.WEBHOOK_URL, // Use configured webhook URL as default
+        batchSize, // Leads per webhook request (default WEBHOOK_BATCH_SIZE or 1000)
+        webhookSecret, // Signs every webhook request (default CONFIG.WEBHOOK_SECRET or WEBHOOK_SECRET)
+        dedupe = false, // Drop leads this customer already received and scrape extra to make up the count
+        emailStatuses, // Only deliver leads with these email statuses, e.g. ['verified']
+        minQualityScore, // Only deliver leads scoring at least this (0-100) - see lib/lead-quality.js
+        fieldMapping = CONFIG.FIELD_MAPPING || null, // Output columns - see lib/field-mapping.js
+        destinations = CONFIG.DESTINATIONS // Deliver to several webhooks instead - see lib/destinations.js
     } = input;
     
-    // Validate required inputs
-    if (!url) {
-        throw new Error('❌ Apollo search URL is required');
+    const { mode, rawUrl, totalRecords, email, actorId, fillout } = resolveOrderInput(input);
+    console.log(`🧭 Mode: ${mode}`);
+    
+    // Reject a bad mapping before paying for a scrape
+    if (fieldMapping) {
+        try {
+            console.log(`🗺️ Output fields: ${mappedFieldNames(fieldMapping).join(', ')}`);
+        } catch (error) {
+            await reportToFillout(fillout, SUBMISSION_STATUS.FAILED, { message: error.message });
+            throw new Error(`❌ Invalid field mapping [${error.code}]: ${error.message}`);
+        }
     }
     
-    if (!url.includes('app.apollo.io')) {
-        throw new Error('❌ Invalid Apollo URL. Must be from app.apollo.io');
+    // Validate required inputs
+    let url;
+    let filters;
+    try {
+        ({ url, filters } = parseApolloUrl(rawUrl));
+    } catch (error) {
+        await reportToFillout(fillout, SUBMISSION_STATUS.FAILED, { message: error.message });
+        throw new Error(`❌ Invalid Apollo URL [${error.code}]: ${error.message}`);
     }
     
+    console.log(`🔎 Search filters: ${filters.titles.length} job titles, ${filters.locations.length} locations, ${filters.industries.length} industries`);
+    
     // Use configured webhook URL if none provided
     const finalWebhookUrl = webhookUrl || CONFIG.WEBHOOK_URL;
     
-    if (!finalWebhookUrl || finalWebhookUrl === 'https://your-webhook-endpoint.com/apollo-data') {
+    if (!destinations?.length && (!finalWebhookUrl || finalWebhookUrl === 'https://your-webhook-endpoint.com/apollo-data')) {
         throw new Error('❌ Webhook URL is required. Please configure it in config.js');
     }
     
+    // Every destination gets the run's batch size, secret and mapping unless it sets its own
+    let deliveryTargets;
     try {
-        // Validate webhook URL
-        new URL(finalWebhookUrl);
+        deliveryTargets = resolveDestinations(destinations, {
+            url: finalWebhookUrl,
+            secret: webhookSecret || CONFIG.WEBHOOK_SECRET,
+            batchSize,
+            fieldMapping
+        });
     } catch (error) {
-        throw new Error('❌ Invalid webhook URL format');
+        throw new Error(`❌ Invalid webhook destinations [${error.code}]: ${error.message}`);
     }
     
     console.log(`🎯 Target: ${totalRecords} leads from Apollo`);
     console.log(`📁 File name: ${fileName}`);
     console.log(`🧹 Clean output: ${cleanOutput}`);
-    console.log(`🔗 Webhook URL: ${finalWebhookUrl}`);
+    console.log(`🔗 Destinations: ${deliveryTargets.map(destination => `${destination.name} (${destination.url})`).join(', ')}`);
+    if (email) {
+        console.log(`📧 Notification email: ${email}`);
+    }
+    
+    await reportToFillout(fillout, SUBMISSION_STATUS.PROCESSING, { leadCount: totalRecords });
+    
+    // Delivery history is kept per customer email, so it needs one to dedupe against
+    let leadHistory = null;
+    if (email) {
+        leadHistory = await loadLeadHistory(await Apify.openKeyValueStore('lead-history'), email);
+        console.log(`🗂️ Delivery history: ${leadHistory.size} lead identities on record for ${email}`);
+    }
+    if (dedupe && !leadHistory) {
+        console.warn('⚠️ Deduplication requested but no customer email was given, skipping it');
+    }
+    
+    // Filters that may remove paid-for leads; the shortfall is made up by scraping more
+    const qualityFilter = parseQualityFilter({ emailStatuses, minScore: minQualityScore });
+    const leadFilters = [];
+    if (dedupe && leadHistory) {
+        leadFilters.push({ name: 'duplicates', apply: leads => leadHistory.filterLeads(leads) });
+    }
+    if (qualityFilter) {
+        console.log(`🎯 Quality filter: email status ${qualityFilter.emailStatuses.join('/') || 'any'}, minimum score ${qualityFilter.minScore}`);
+        leadFilters.push({ name: 'quality', apply: leads => filterByQuality(leads, qualityFilter) });
+    }
+    
+    const leadOptions = { cleanOutput, normalizeOutput, searchedTitles: filters.titles };
     
-    let apolloRun = null;
-    let scrapedData = [];
+    // Progress of the streamed scrape - see scrapeLeadPages
+    const run = {
+        apolloRun: null,
+        scraped: 0,
+        delivered: 0,
+        removed: {},
+        topUpRounds: 0,
+        histogram: scoreHistogram([]),
+        deliveredLeads: []
+    };
     
     try {
-        // Call the existing Apollo scraper actor
-        console.log('🔄 Starting Apollo scraper...');
-        
-        apolloRun = await Apify.call(CONFIG.APOLLO_ACTOR_ID, {
-            url,
+        // Leads are scraped, prepared, filtered and delivered page by page, so memory stays
+        // bounded by the page size; every destination gets one delivery for the whole run
+        const pages = scrapeLeadPages(run, {
+            actorId,
+            scraperInput: { url, fileName, cleanOutput },
             totalRecords,
-            fileName,
-            cleanOutput
+            leadOptions,
+            leadFilters,
+            dedupe: Boolean(dedupe && leadHistory),
+            keepDelivered: Boolean(leadHistory),
+            fieldMapping
         });
         
-        console.log('✅ Apollo scraper completed successfully');
-        console.log('📊 Run info:', apolloRun);
-        
-        // Wait a moment for the dataset to be fully populated
-        console.log('⏳ Waiting for dataset to be ready...');
-        await new Promise(resolve => setTimeout(resolve, 3000));
+        console.log(`📤 Automatically sending leads to ${deliveryTargets.length} destination(s) as they are scraped...`);
         
-        // Get the scraped data from the actor's dataset
-        if (apolloRun && apolloRun.defaultDatasetId) {
-            console.log(`🔍 Retrieving data from dataset: ${apolloRun.defaultDatasetId}`);
-            
-            try {
-                // Use Apify API directly to get data from external dataset
-                const datasetUrl = `https://api.apify.com/v2/datasets/${apolloRun.defaultDatasetId}/items?token=${CONFIG.APIFY_TOKEN}`;
-                console.log(`📡 Fetching data from: ${datasetUrl}`);
-                
-                const datasetResponse = await axios.get(datasetUrl, {
-                    timeout: 30000 // 30 second timeout
-                });
-                
-                scrapedData = datasetResponse.data;
-                console.log(`📦 Retrieved ${scrapedData.length} items from external actor's dataset`);
-                
-            } catch (datasetError) {
-                console.error('❌ Error retrieving data from external dataset:', datasetError.message);
-                
-                // Fallback: try using Apify client
-                console.log('🔄 Trying fallback with Apify client...');
-                try {
-                    const datasetClient = Apify.newClient().dataset(apolloRun.defaultDatasetId);
-                    const { items } = await datasetClient.listItems();
-                    scrapedData = items;
-                    console.log(`📦 Retrieved ${scrapedData.length} items using Apify client`);
-                } catch (clientError) {
-                    console.error('❌ Apify client also failed:', clientError.message);
-                    
-                    // Final fallback: check our own dataset
-                    console.log('🔄 Final fallback: checking our own dataset...');
-                    const dataset = await Apify.openDataset();
-                    const datasetInfo = await dataset.getInfo();
-                    
-                    if (datasetInfo && datasetInfo.itemCount > 0) {
-                        const { items } = await dataset.getData();
-                        scrapedData = items;
-                        console.log(`📦 Retrieved ${scrapedData.length} items from our dataset`);
-                    }
-                }
-            }
-        } else {
-            console.log('🔍 No dataset ID in response, checking our own dataset...');
-            
-            // Fallback: try to get from our own dataset
-            const dataset = await Apify.openDataset();
-            const datasetInfo = await dataset.getInfo();
-            
-            if (datasetInfo && datasetInfo.itemCount > 0) {
-                const { items } = await dataset.getData();
-                scrapedData = items;
-                console.log(`📦 Retrieved ${scrapedData.length} items from our dataset`);
-            }
-        }
+        const deliveries = await sendToDestinations(deliveryTargets, pages, {
+            success: true,
+            message: 'Data scraped and sent automatically',
+            fileName,
+            timestamp: new Date().toISOString(),
+            configuredWebhookUrl: CONFIG.WEBHOOK_URL,
+            usedWebhookUrl: finalWebhookUrl,
+            email,
+            automatedDelivery: true
+        }, () => ({
+            message: run.scraped === 0 ? 'Scraping completed but no data found' : 'Data scraped and sent automatically',
+            totalRecords: run.delivered,
+            runId: run.apolloRun?.id || 'unknown',
+            datasetId: run.apolloRun?.defaultDatasetId || 'unknown',
+            runFinishedAt: run.apolloRun?.finishedAt,
+            runStartedAt: run.apolloRun?.startedAt,
+            filtering: leadFilters.length > 0 ? {
+                removed: run.removed,
+                scraped: run.scraped,
+                topUpRounds: run.topUpRounds,
+                qualityFilter
+            } : null
+        }));
         
-        if (!scrapedData || scrapedData.length === 0) {
+        if (run.scraped === 0) {
             console.log('⚠️ No data was scraped');
             
-            // Send empty result to webhook
-            await sendToWebhook(finalWebhookUrl, [], {
-                success: true,
-                message: 'Scraping completed but no data found',
-                totalRecords: 0,
-                fileName,
-                timestamp: new Date().toISOString(),
-                runId: apolloRun?.id || 'unknown',
-                datasetId: apolloRun?.defaultDatasetId || 'unknown',
-                runInfo: apolloRun
+            await reportToFillout(fillout, SUBMISSION_STATUS.COMPLETED, {
+                leadCount: 0,
+                runId: run.apolloRun?.id,
+                message: 'Scraping completed but no data found'
             });
             
             return;
         }
         
-        // Process and clean the data if needed
-        let processedData = scrapedData;
+        // Each destination also got the histogram of the leads it received
+        console.log('📊 Quality scores:', run.histogram);
+        console.log(`✅ ${run.delivered} leads sent to webhook automatically`);
         
-        if (cleanOutput) {
-            console.log('🧹 Cleaning output data...');
-            processedData = cleanData(scrapedData);
+        if (leadHistory && deliveries.some(result => result.status === DELIVERY_RESULT.DELIVERED)) {
+            await leadHistory.recordLeads(run.deliveredLeads);
+            console.log(`🗂️ Recorded ${run.deliveredLeads.length} delivered leads in the delivery history`);
         }
         
-        // Send data to webhook automatically
-        console.log(`📤 Automatically sending ${processedData.length} leads to webhook...`);
-        
-        await sendToWebhook(finalWebhookUrl, processedData, {
-            success: true,
-            message: 'Data scraped and sent automatically',
-            totalRecords: processedData.length,
+        await reportToFillout(fillout, SUBMISSION_STATUS.COMPLETED, {
+            leadCount: run.delivered,
+            runId: run.apolloRun?.id,
+            datasetId: run.apolloRun?.defaultDatasetId,
             fileName,
-            timestamp: new Date().toISOString(),
-            runId: apolloRun?.id || 'unknown',
-            datasetId: apolloRun?.defaultDatasetId || 'unknown',
-            configuredWebhookUrl: CONFIG.WEBHOOK_URL,
-            usedWebhookUrl: finalWebhookUrl,
-            runFinishedAt: apolloRun?.finishedAt,
-            runStartedAt: apolloRun?.startedAt,
-            automatedDelivery: true
+            duplicatesRemoved: run.removed.duplicates || 0,
+            belowQualityRemoved: run.removed.quality || 0
         });
         
-        console.log('✅ Data successfully sent to webhook automatically');
-        
-        // Also save to dataset for backup
-        await Apify.pushData(processedData);
-        console.log('💾 Data saved to Apify dataset as backup');
-        
         console.log('🎉 Automated workflow completed successfully!');
         
     } catch (error) {
         console.error('❌ Error during automated workflow:', error);
         
+        await reportToFillout(fillout, SUBMISSION_STATUS.FAILED, {
+            runId: run.apolloRun?.id,
+            message: error.message
+        });
+        
         // Send error notification to webhook
         try {
-            await sendToWebhook(finalWebhookUrl, [], {
+            await sendToDestinations(deliveryTargets, [], {
                 success: false,
                 error: error.message,
                 message: 'Automated scraping workflow failed',
                 totalRecords: 0,
                 fileName,
                 timestamp: new Date().toISOString(),
-                runId: apolloRun?.id || 'unknown',
-                datasetId: apolloRun?.defaultDatasetId || 'unknown',
+                runId: run.apolloRun?.id || 'unknown',
+                datasetId: run.apolloRun?.defaultDatasetId || 'unknown',
                 configuredWebhookUrl: CONFIG.WEBHOOK_URL,
                 usedWebhookUrl: finalWebhookUrl,
                 automatedDelivery: true,
@@ -214,53 +245,315 @@ Apify.main(async () => {
 });
 
 /**
- * Send data to webhook URL with enhanced error handling
+ * Run the Apollo scraper actor and wait for its dataset to be ready
  */
-async function sendToWebhook(webhookUrl, data, metadata = {}) {
-    try {
-        const payload = {
-            data: data,
-            metadata: metadata
-        };
-        
-        console.log(`🔗 Sending to webhook: ${webhookUrl}`);
-        console.log(`📊 Payload size: ${JSON.stringify(payload).length} characters`);
-        console.log(`📦 Data items: ${data.length}`);
-        
-        const response = await axios.post(webhookUrl, payload, {
-            headers: {
-                'Content-Type': 'application/json',
-                'User-Agent': 'Apify-Apollo-Scraper-Automated/1.0'
-            },
-            timeout: 60000, // 60 second timeout for large payloads
-            maxContentLength: Infinity,
-            maxBodyLength: Infinity
+async function runApolloScraper(actorId, scraperInput) {
+    // Call the existing Apollo scraper actor
+    console.log('🔄 Starting Apollo scraper...');
+    const apolloRun = await Apify.call(actorId, scraperInput);
+    
+    console.log('✅ Apollo scraper completed successfully');
+    console.log('📊 Run info:', apolloRun);
+    
+    // Wait a moment for the dataset to be fully populated
+    console.log('⏳ Waiting for dataset to be ready...');
+    await new Promise(resolve => setTimeout(resolve, 3000));
+    
+    return apolloRun;
+}
+
+/**
+ * Page through a dataset-like source with getPage(offset, limit) -> items
+ */
+async function* readPages(getPage, offset) {
+    for (;;) {
+        const items = await getPage(offset, DATASET_PAGE_SIZE);
+        if (items.length === 0) {
+            return;
+        }
+        offset += items.length;
+        yield items;
+        if (items.length < DATASET_PAGE_SIZE) {
+            return;
+        }
+    }
+}
+
+/**
+ * Yield the Apollo run's results page by page from the external dataset, falling back to
+ * the Apify client (from where the API left off) and then, before anything was read, our
+ * own dataset
+ */
+async function* readScrapedPages(apolloRun, { allowOwnDataset }) {
+    const datasetId = apolloRun?.defaultDatasetId;
+    const sources = [];
+    
+    if (datasetId) {
+        console.log(`🔍 Retrieving data from dataset: ${datasetId}`);
+        sources.push({
+            name: "external actor's dataset",
+            read: offset => readDatasetPages(datasetId, { token: CONFIG.APIFY_TOKEN, offset })
+        }, {
+            name: 'Apify client',
+            read: offset => readPages(async (pageOffset, limit) => {
+                const { items } = await Apify.newClient().dataset(datasetId).listItems({ offset: pageOffset, limit });
+                return items;
+            }, offset)
         });
+    } else {
+        console.log('🔍 No dataset ID in response, checking our own dataset...');
+    }
+    
+    if (allowOwnDataset) {
+        sources.push({
+            name: 'our own dataset',
+            fromStartOnly: true,
+            read: offset => readPages(async (pageOffset, limit) => {
+                const dataset = await Apify.openDataset();
+                const { items } = await dataset.getData({ offset: pageOffset, limit });
+                return items;
+            }, offset)
+        });
+    }
+    
+    let read = 0;
+    let lastError = null;
+    for (const source of sources) {
+        if (source.fromStartOnly && read > 0) {
+            break;
+        }
+        if (lastError) {
+            console.log(`🔄 Trying fallback with ${source.name}${read ? ` from item ${read}` : ''}...`);
+        }
         
-        console.log(`✅ Webhook response: ${response.status} ${response.statusText}`);
+        try {
+            for await (const items of source.read(read)) {
+                read += items.length;
+                yield items;
+            }
+            console.log(`📦 Retrieved ${read} items from ${source.name}`);
+            return;
+        } catch (error) {
+            console.error(`❌ Error retrieving data from ${source.name}:`, error.message);
+            lastError = error;
+        }
+    }
+    
+    if (lastError) {
+        throw lastError;
+    }
+}
+
+/**
+ * Run leads through each filter ({ name, apply(leads) -> { leads, removed } }) in turn
+ */
+function applyLeadFilters(leads, leadFilters) {
+    const removed = {};
+    const kept = leadFilters.reduce((remaining, filter) => {
+        const result = filter.apply(remaining);
+        removed[filter.name] = result.removed;
+        return result.leads;
+    }, leads);
+    
+    return { leads: kept, removed };
+}
+
+/**
+ * Scrape and yield pages of prepared leads, dropping those the filters reject (previously
+ * delivered, below the quality bar). While fewer than totalRecords got through and the
+ * search has more results, scrape again with a larger record count to make up the
+ * difference; leads delivered from an earlier scrape are skipped.
+ *
+ * Progress is kept on `run` for the final metadata: apolloRun, scraped (by the last scrape),
+ * delivered, removed ({ [filter]: count } for the last scrape), topUpRounds, histogram and
+ * deliveredLeads (identity fields only, kept when keepDelivered is set for the history).
+ * Each page is also saved to our dataset, shaped by the run's field mapping.
+ */
+async function* scrapeLeadPages(run, { actorId, scraperInput, totalRecords, leadOptions, leadFilters, dedupe, keepDelivered, fieldMapping }) {
+    // Identities delivered in this run - repeats within a scrape (when deduplicating) or
+    // from the previous scrape (when topping up) are skipped
+    const delivered = new Set();
+    let requested = totalRecords;
+    
+    for (;;) {
+        run.apolloRun = await runApolloScraper(actorId, { ...scraperInput, totalRecords: requested });
+        run.scraped = 0;
+        run.removed = Object.fromEntries(leadFilters.map(filter => [filter.name, 0]));
+        const skipDelivered = dedupe || run.topUpRounds > 0;
         
-        if (response.data) {
-            console.log(`📋 Webhook response data:`, response.data);
+        for await (const items of readScrapedPages(run.apolloRun, { allowOwnDataset: run.topUpRounds === 0 })) {
+            run.scraped += items.length;
+            
+            let leads = prepareLeads(items, leadOptions);
+            if (skipDelivered) {
+                const fresh = leads.filter(lead => !leadIdentities(lead).some(identity => delivered.has(identity)));
+                if (run.topUpRounds === 0) {
+                    run.removed.duplicates += leads.length - fresh.length;
+                }
+                leads = fresh;
+            }
+            
+            if (leadFilters.length > 0) {
+                const result = applyLeadFilters(leads, leadFilters);
+                Object.entries(result.removed).forEach(([name, count]) => {
+                    run.removed[name] += count;
+                });
+                leads = result.leads.slice(0, totalRecords - run.delivered);
+                leads.forEach(lead => leadIdentities(lead).forEach(identity => delivered.add(identity)));
+            }
+            
+            run.delivered += leads.length;
+            run.histogram = scoreHistogram(leads, run.histogram);
+            if (keepDelivered) {
+                run.deliveredLeads.push(...leads.map(lead => ({ email: lead.email, linkedin_url: lead.linkedin_url, id: lead.id })));
+            }
+            
+            if (leads.length > 0) {
+                await Apify.pushData(fieldMapping ? applyFieldMapping(leads, fieldMapping) : leads);
+            }
+            yield leads;
+            
+            if (leadFilters.length > 0 && run.delivered >= totalRecords) {
+                break;
+            }
         }
         
-        if (response.status >= 200 && response.status < 300) {
-            console.log('✅ Webhook delivery successful');
-        } else {
-            console.warn(`⚠️ Webhook returned non-success status: ${response.status}`);
+        if (leadFilters.length === 0) {
+            return;
         }
+        console.log(`🧮 Filtered out ${Object.entries(run.removed).map(([name, count]) => `${count} (${name})`).join(', ')}, ${run.delivered} leads delivered`);
         
-    } catch (error) {
-        console.error('❌ Webhook delivery failed:', error.message);
+        if (run.delivered >= totalRecords || run.topUpRounds >= MAX_TOP_UP_ROUNDS) {
+            return;
+        }
+        // Fewer results than requested means the search has nothing more to give
+        if (run.scraped < requested || requested >= MAX_SCRAPE_RECORDS) {
+            console.log('ℹ️ Search exhausted, delivering fewer leads than ordered');
+            return;
+        }
         
-        if (error.response) {
-            console.error(`❌ Webhook error response: ${error.response.status} - ${error.response.statusText}`);
-            if (error.response.data) {
-                console.error('❌ Response data:', error.response.data);
+        const shortfall = totalRecords - run.delivered;
+        requested = Math.min(requested + Math.ceil(shortfall * 1.2), MAX_SCRAPE_RECORDS);
+        run.topUpRounds++;
+        console.log(`➕ ${shortfall} leads short, scraping ${requested} records (top-up ${run.topUpRounds}/${MAX_TOP_UP_ROUNDS})`);
+    }
+}
+
+/**
+ * Work out what to scrape from the actor input:
+ *   webhook - read the URL, lead count and email from a Fillout submission (filloutWebhookData)
+ *   direct  - apolloSearchUrl, maxLeads and notificationEmail
+ * Runs started by the payment flow pass url/totalRecords/email, which work in either mode.
+ */
+function resolveOrderInput(input) {
+    const actorId = input.apolloActorId || CONFIG.APOLLO_ACTOR_ID;
+    const defaultLeads = CONFIG.DEFAULT_SETTINGS.defaultLeads;
+
+    if (input.mode === 'webhook' && input.filloutWebhookData) {
+        const submission = parseFilloutSubmission(input.filloutWebhookData);
+        console.log(`📝 Fillout submission ${submission.submissionId} (form ${submission.formId})`);
+
+        return {
+            mode: 'webhook',
+            rawUrl: submission.apolloUrl,
+            totalRecords: submission.leads || input.maxLeads || defaultLeads,
+            email: submission.email || input.notificationEmail || null,
+            actorId,
+            fillout: {
+                apiKey: input.filloutApiKey,
+                formId: submission.formId,
+                submissionId: submission.submissionId
             }
+        };
+    }
+
+    if (input.mode === 'webhook' && !input.url) {
+        throw new Error('❌ Webhook mode needs filloutWebhookData from a Fillout submission');
+    }
+
+    return {
+        mode: input.url ? 'payment' : 'direct',
+        rawUrl: input.url || input.apolloSearchUrl,
+        totalRecords: input.totalRecords || input.maxLeads || defaultLeads,
+        email: input.email || input.notificationEmail || null,
+        actorId,
+        fillout: null
+    };
+}
+
+/**
+ * Report status back to the Fillout submission in webhook mode. The outcome of the latest
+ * report is kept in the FILLOUT_STATUS record, so a failed write-back shows up on the run.
+ */
+async function reportToFillout(fillout, status, details = {}) {
+    if (!fillout) {
+        return;
+    }
+    const { updated, error } = await updateFilloutSubmission(fillout.apiKey, fillout.formId, fillout.submissionId, { status, ...details });
+    await Apify.setValue('FILLOUT_STATUS', {
+        formId: fillout.formId,
+        submissionId: fillout.submissionId,
+        status,
+        updated,
+        error,
+        reportedAt: new Date().toISOString()
+    });
+}
+
+/**
+ * Stream pages of leads to every destination in sequenced, signed batches and record each
+ * destination's delivery status in the run result (OUTPUT). getFinalMetadata() adds the
+ * counts known once the last page is read. Throws only if no destination accepted it.
+ */
+async function sendToDestinations(destinations, pages, metadata = {}, getFinalMetadata = () => ({})) {
+    console.log(`🔗 Sending to ${destinations.length} destination(s): ${destinations.map(destination => destination.name).join(', ')}`);
+    
+    let finalMetadata = metadata;
+    const deliveries = await streamToDestinations(destinations, pages, metadata, {
+        userAgent: 'Apify-Apollo-Scraper-Automated/1.0',
+        finalMetadata: () => {
+            finalMetadata = { ...metadata, ...getFinalMetadata() };
+            return finalMetadata;
         }
-        
-        throw new Error(`Webhook delivery failed: ${error.message}`);
+    });
+    
+    await Apify.setValue('OUTPUT', {
+        success: finalMetadata.success,
+        message: finalMetadata.message,
+        totalRecords: finalMetadata.totalRecords || 0,
+        deliveries,
+        finishedAt: new Date().toISOString()
+    });
+    
+    const failed = deliveries.filter(result => result.status === DELIVERY_RESULT.FAILED);
+    if (failed.length === deliveries.length) {
+        throw new Error(`Webhook delivery failed: ${failed.map(result => `${result.name}: ${result.error}`).join('; ')}`);
     }
+    if (failed.length > 0) {
+        console.warn(`⚠️ Delivery failed for ${failed.map(result => result.name).join(', ')}, delivered to the others`);
+    }
+    
+    return deliveries;
+}
+
+/**
+ * Clean the scraped data, then add normalized fields and quality scores alongside the originals
+ */
+function prepareLeads(items, { cleanOutput, normalizeOutput, searchedTitles }) {
+    let leads = items;
+    
+    if (cleanOutput) {
+        console.log('🧹 Cleaning output data...');
+        leads = cleanData(leads);
+    }
+    
+    if (normalizeOutput) {
+        console.log('📐 Normalizing phones, names, titles and locations...');
+        leads = normalizeLeads(leads);
+    }
+    
+    // Scored after normalizing so phones are recognized in any format
+    return scoreLeads(leads, searchedTitles);
 }
 
 /**
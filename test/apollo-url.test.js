@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { APOLLO_URL_ERRORS, ApolloUrlError, parseApolloUrl, validateApolloUrl, summarizeFilters } = require('../lib/apollo-url');
+
+const SEARCH_URL = 'https://app.apollo.io/#/people?personTitles[]=vp%20sales&personTitles[]=head%20of%20sales'
+    + '&personLocations[]=United%20States&organizationNumEmployeesRanges[]=51%2C200'
+    + '&organizationNumEmployeesRanges[]=10001%2C&qKeywords=saas&page=2&sortByField=recommendations_score'
+    + '&customFilter[]=x';
+
+function assertUrlError(url, code) {
+    assert.throws(() => parseApolloUrl(url), error => error instanceof ApolloUrlError && error.code === code);
+}
+
+test('parses filters from the hash of a people search', () => {
+    const { url, filters } = parseApolloUrl(`  ${SEARCH_URL}  `);
+
+    assert.equal(url, SEARCH_URL);
+    assert.deepEqual(filters.titles, ['vp sales', 'head of sales']);
+    assert.deepEqual(filters.locations, ['United States']);
+    assert.deepEqual(filters.employeeRanges, [
+        { min: 51, max: 200, label: '51-200' },
+        { min: 10001, max: null, label: '10001+' }
+    ]);
+    assert.equal(filters.keywords, 'saas');
+    assert.deepEqual(filters.other, { 'customFilter[]': ['x'] });
+});
+
+test('accepts a search without filters', () => {
+    const { filters } = parseApolloUrl('https://app.apollo.io/#/people');
+
+    assert.deepEqual(filters.titles, []);
+    assert.equal(filters.keywords, null);
+});
+
+test('rejects missing, malformed and foreign URLs with a code', () => {
+    assertUrlError('', APOLLO_URL_ERRORS.MISSING);
+    assertUrlError(null, APOLLO_URL_ERRORS.MISSING);
+    assertUrlError('https://app.apollo.io/#/people?personTitles[]=café', APOLLO_URL_ERRORS.INVALID_CHARACTERS);
+    assertUrlError('app.apollo.io/#/people', APOLLO_URL_ERRORS.INVALID_FORMAT);
+    assertUrlError('https://apollo.io.example.com/#/people', APOLLO_URL_ERRORS.NOT_APOLLO);
+    assertUrlError('https://app.apollo.io/#/companies?page=1', APOLLO_URL_ERRORS.NOT_PEOPLE_SEARCH);
+});
+
+test('rejects URLs that were cut off on the way', () => {
+    assertUrlError('https://app.apollo.io/#/people?personTitles[]=vp%', APOLLO_URL_ERRORS.TRUNCATED);
+    assertUrlError('https://app.apollo.io/#/people?personTitles[]=vp%2', APOLLO_URL_ERRORS.TRUNCATED);
+    assertUrlError('https://app.apollo.io/#/people?personTitles[]=', APOLLO_URL_ERRORS.TRUNCATED);
+    assertUrlError('https://app.apollo.io/#/people?personTitles[]=vp&', APOLLO_URL_ERRORS.TRUNCATED);
+    assertUrlError('https://app.apollo.io/#/people?personTitles[]=vp...', APOLLO_URL_ERRORS.TRUNCATED);
+    assertUrlError('https://app.apollo.io/#/people?personTitles[]=%E0%A4%A&page=1', APOLLO_URL_ERRORS.TRUNCATED);
+});
+
+test('validateApolloUrl returns the trimmed URL', () => {
+    assert.equal(validateApolloUrl(` ${SEARCH_URL}\n`), SEARCH_URL);
+});
+
+test('summarizes filters for the customer', () => {
+    const { filters } = parseApolloUrl(SEARCH_URL);
+
+    assert.equal(summarizeFilters(filters), 'VP Sales, Head of Sales · United States · 51-200, 10001+ employees · Keywords: "saas"');
+});
+
+test('shortens long lists and counts industries', () => {
+    const { filters } = parseApolloUrl('https://app.apollo.io/#/people?personLocations[]=A&personLocations[]=B'
+        + '&personLocations[]=C&personLocations[]=D&organizationIndustryTagIds[]=5567cd');
+
+    assert.equal(summarizeFilters(filters), 'A, B, C +1 more · 1 industry');
+    assert.equal(summarizeFilters(parseApolloUrl('https://app.apollo.io/#/people').filters), 'All people (no filters)');
+});
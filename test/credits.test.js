@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The store opens STORE_DIR lazily, so point it at a scratch directory before anything runs
+process.env.STORE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'credits-test-'));
+process.env.CREDIT_WALLET_SECRET = 'test-wallet-secret';
+
+const {
+    ENTRY_TYPES,
+    getWallet,
+    getBalance,
+    purchaseCredits,
+    debitCredits,
+    refundCredits,
+    recordCreditReview,
+    listCreditReviews,
+    createWalletKey,
+    verifyWalletKey
+} = require('../lib/credits');
+
+test.after(() => {
+    fs.rmSync(process.env.STORE_DIR, { recursive: true, force: true });
+});
+
+test('keeps a running balance across purchases, debits and refunds', async () => {
+    await purchaseCredits('Buyer@Example.com ', 1000, 'cs_balance');
+    await debitCredits('buyer@example.com', 300, 'order_1');
+    const refund = await refundCredits('buyer@example.com', 100, 'order_1', { reason: 'Run could not start' });
+
+    assert.equal(refund.balanceAfter, 800);
+    assert.equal(refund.reason, 'Run could not start');
+    assert.equal(await getBalance('BUYER@example.com'), 800);
+
+    const wallet = await getWallet('buyer@example.com');
+    assert.deepEqual(wallet.entries.map(entry => [entry.type, entry.credits, entry.balanceAfter]), [
+        [ENTRY_TYPES.PURCHASE, 1000, 1000],
+        [ENTRY_TYPES.DEBIT, 300, 700],
+        [ENTRY_TYPES.REFUND, 100, 800]
+    ]);
+});
+
+test('applies an entry with the same type and reference only once', async () => {
+    const first = await purchaseCredits('repeat@example.com', 500, 'cs_repeat');
+    const again = await purchaseCredits('repeat@example.com', 500, 'cs_repeat');
+
+    assert.deepEqual(again, first);
+    assert.equal(await getBalance('repeat@example.com'), 500);
+    assert.equal((await getWallet('repeat@example.com')).entries.length, 1);
+});
+
+test('refuses a debit larger than the balance and leaves the wallet alone', async () => {
+    await purchaseCredits('short@example.com', 100, 'cs_short');
+
+    await assert.rejects(
+        debitCredits('short@example.com', 150, 'order_short'),
+        error => error.code === 'INSUFFICIENT_CREDITS' && error.balance === 100
+    );
+    assert.equal(await getBalance('short@example.com'), 100);
+    assert.equal((await getWallet('short@example.com')).entries.length, 1);
+});
+
+test('never overdraws a wallet under concurrent debits', async () => {
+    await purchaseCredits('busy@example.com', 500, 'cs_busy');
+
+    const results = await Promise.allSettled(
+        Array.from({ length: 8 }, (_, i) => debitCredits('busy@example.com', 100, `order_busy_${i}`))
+    );
+
+    assert.equal(results.filter(result => result.status === 'fulfilled').length, 5);
+    assert.ok(results.filter(result => result.status === 'rejected').every(result => result.reason.code === 'INSUFFICIENT_CREDITS'));
+    assert.equal(await getBalance('busy@example.com'), 0);
+});
+
+test('records one manual review per reference', async () => {
+    await recordCreditReview('Spent@example.com', 're_1', { credits: 1000, balance: 40 });
+    await recordCreditReview('spent@example.com', 're_1', { credits: 1000, balance: 0 });
+
+    const reviews = await listCreditReviews();
+    assert.equal(reviews.length, 1);
+    assert.equal(reviews[0].email, 'spent@example.com');
+    assert.equal(reviews[0].balance, 40);
+});
+
+test('wallet keys are tied to the email address', () => {
+    const key = createWalletKey('Owner@example.com');
+
+    assert.ok(verifyWalletKey('owner@example.com', key));
+    assert.ok(verifyWalletKey('owner@example.com', ` ${key} `));
+    assert.ok(!verifyWalletKey('someone@example.com', key));
+    assert.ok(!verifyWalletKey('owner@example.com', undefined));
+});
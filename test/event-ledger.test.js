@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The store opens STORE_DIR lazily, so point it at a scratch directory before anything runs
+process.env.STORE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'event-ledger-test-'));
+
+const { openStore } = require('../lib/store');
+const { CLAIM_STATUS, getClaim, claim, markDone, runOnce } = require('../lib/event-ledger');
+
+test.after(() => {
+    fs.rmSync(process.env.STORE_DIR, { recursive: true, force: true });
+});
+
+test('only one concurrent caller claims a key', async () => {
+    const results = await Promise.all(Array.from({ length: 5 }, () => claim('event:evt_race')));
+
+    assert.equal(results.filter(Boolean).length, 1);
+    assert.equal((await getClaim('event:evt_race')).status, CLAIM_STATUS.IN_PROGRESS);
+});
+
+test('skips a key that is done or still in progress', async () => {
+    assert.ok(await claim('event:evt_done'));
+    await markDone('event:evt_done');
+
+    assert.ok(!(await claim('event:evt_done')));
+    assert.ok(await claim('event:evt_busy'));
+    assert.ok(!(await claim('event:evt_busy')));
+});
+
+test('takes over a claim left in progress by a crashed delivery', async () => {
+    await openStore('stripe-events').put('event:evt_stale', {
+        key: 'event:evt_stale',
+        status: CLAIM_STATUS.IN_PROGRESS,
+        claimedAt: Date.now() - 10 * 60 * 1000,
+        attempts: 1
+    });
+
+    const results = await Promise.all([claim('event:evt_stale'), claim('event:evt_stale')]);
+
+    assert.deepEqual(results.sort(), [false, true]);
+    const record = await getClaim('event:evt_stale');
+    assert.equal(record.status, CLAIM_STATUS.IN_PROGRESS);
+    assert.equal(record.attempts, 2);
+});
+
+test('runOnce runs the handler once and skips later deliveries', async () => {
+    let calls = 0;
+    const handler = async () => {
+        calls++;
+        return 'ok';
+    };
+
+    assert.deepEqual(await runOnce('session:cs_once', handler), { claimed: true, result: 'ok' });
+    assert.deepEqual(await runOnce('session:cs_once', handler), { claimed: false });
+    assert.equal(calls, 1);
+    assert.equal((await getClaim('session:cs_once')).status, CLAIM_STATUS.DONE);
+});
+
+test('runOnce marks a failed handler so the next delivery retries it', async () => {
+    await assert.rejects(runOnce('invoice:in_retry', async () => {
+        throw new Error('Apify is down');
+    }), /Apify is down/);
+
+    const failed = await getClaim('invoice:in_retry');
+    assert.equal(failed.status, CLAIM_STATUS.FAILED);
+    assert.equal(failed.error, 'Apify is down');
+
+    const retried = await runOnce('invoice:in_retry', async () => 'started');
+    assert.deepEqual(retried, { claimed: true, result: 'started' });
+    assert.equal((await getClaim('invoice:in_retry')).attempts, 2);
+});
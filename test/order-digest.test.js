@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OrderIntegrityError, signOrder, verifyPaidOrder } = require('../lib/order-digest');
+
+const ORDER = {
+    apolloUrl: 'https://app.apollo.io/#/people?personTitles[]=vp%20sales',
+    leads: 1000,
+    amount: 500,
+    email: 'buyer@example.com',
+    bonusLeads: 0,
+    discountAmount: 0
+};
+
+function withSecret(t, secret) {
+    const previous = process.env.ORDER_SIGNING_SECRET;
+    if (secret) {
+        process.env.ORDER_SIGNING_SECRET = secret;
+    } else {
+        delete process.env.ORDER_SIGNING_SECRET;
+    }
+    t.after(() => {
+        if (previous === undefined) {
+            delete process.env.ORDER_SIGNING_SECRET;
+        } else {
+            process.env.ORDER_SIGNING_SECRET = previous;
+        }
+    });
+}
+
+function assertIntegrityError(fn, message) {
+    assert.throws(fn, error => error instanceof OrderIntegrityError && error.code === 'ORDER_INTEGRITY' && message.test(error.message));
+}
+
+test('accepts a paid order that matches its digest', (t) => {
+    withSecret(t, 'test-signing-secret');
+    const digest = signOrder(ORDER);
+
+    assert.match(digest, /^[0-9a-f]{64}$/);
+    verifyPaidOrder(ORDER, digest, 500);
+});
+
+test('signs the values, not how they travelled through metadata', (t) => {
+    withSecret(t, 'test-signing-secret');
+    const digest = signOrder(ORDER);
+
+    // Stripe metadata turns numbers into strings, and emails may differ in case or padding
+    verifyPaidOrder({ ...ORDER, leads: '1000', amount: '500', email: ' Buyer@Example.com', bonusLeads: undefined }, digest, 500);
+});
+
+test('rejects an order changed after it was signed', (t) => {
+    withSecret(t, 'test-signing-secret');
+    const digest = signOrder(ORDER);
+
+    for (const change of [
+        { apolloUrl: `${ORDER.apolloUrl}&personLocations[]=Canada` },
+        { leads: 50000 },
+        { email: 'attacker@example.com' },
+        { bonusLeads: 5000 },
+        { discountAmount: 100 }
+    ]) {
+        assertIntegrityError(() => verifyPaidOrder({ ...ORDER, ...change }, digest, 500), /does not match the order details/);
+    }
+});
+
+test('rejects an unsigned or garbled digest', (t) => {
+    withSecret(t, 'test-signing-secret');
+
+    assertIntegrityError(() => verifyPaidOrder(ORDER, null, 500), /not signed/);
+    assertIntegrityError(() => verifyPaidOrder(ORDER, 'abc123', 500), /does not match/);
+});
+
+test('rejects a payment that differs from the order amount', (t) => {
+    withSecret(t, 'test-signing-secret');
+
+    assertIntegrityError(() => verifyPaidOrder(ORDER, signOrder(ORDER), 400), /Amount paid \(400\)/);
+});
+
+test('without a secret, orders are unsigned and only the amount is checked', (t) => {
+    withSecret(t, null);
+
+    assert.equal(signOrder(ORDER), null);
+    verifyPaidOrder(ORDER, null, 500);
+    assertIntegrityError(() => verifyPaidOrder(ORDER, null, 499), /Amount paid/);
+});
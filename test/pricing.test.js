@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { quote, describePricing, formatAmount } = require('../lib/pricing');
+
+test('prices an order inside the first tier at its rate', () => {
+    const result = quote(1000);
+
+    assert.equal(result.amount, 500);
+    assert.equal(result.formattedAmount, '$5.00');
+    assert.equal(result.currency, 'usd');
+    assert.deepEqual(result.breakdown, [
+        { from: 1, to: 1000, leads: 1000, ratePerLead: 0.005, amount: 500 }
+    ]);
+});
+
+test('charges each lead at the rate of the band it falls in', () => {
+    const result = quote(15000);
+
+    assert.equal(result.amount, 5000 + 2000);
+    assert.deepEqual(result.breakdown.map(band => [band.from, band.to, band.amount]), [
+        [1, 10000, 5000],
+        [10001, 15000, 2000]
+    ]);
+    assert.equal(result.effectiveRate, 70 / 15000);
+});
+
+test('never makes a larger order cheaper than a smaller one', () => {
+    assert.ok(quote(10001).amount >= quote(10000).amount);
+    assert.ok(quote(20000).amount > quote(10000).amount);
+});
+
+test('rejects lead counts outside the order limits', () => {
+    assert.throws(() => quote(499), /Minimum order is 500 leads/);
+    assert.throws(() => quote(50001), /Maximum order is 50,000 leads/);
+    assert.throws(() => quote(0), /positive whole number/);
+    assert.throws(() => quote(1000.5), /positive whole number/);
+    assert.throws(() => quote('1000'), /positive whole number/);
+});
+
+test('rejects amounts outside the configured bounds', () => {
+    const pricing = { ...describePricing(), minAmount: 1000, maxAmount: 2000 };
+
+    assert.throws(() => quote(1000, pricing), /Minimum order amount is \$10\.00/);
+    assert.throws(() => quote(5000, pricing), /Maximum order amount is \$20\.00/);
+    assert.equal(quote(3000, pricing).amount, 1500);
+});
+
+test('fails when the tiers do not cover the lead count', () => {
+    const pricing = { ...describePricing(), tiers: [{ upTo: 1000, ratePerLead: 0.005 }] };
+
+    assert.throws(() => quote(2000, pricing), /do not cover/);
+});
+
+test('reads tier overrides from PRICING_CONFIG and ignores invalid JSON', (t) => {
+    t.after(() => {
+        delete process.env.PRICING_CONFIG;
+    });
+
+    process.env.PRICING_CONFIG = JSON.stringify({ tiers: [{ upTo: null, ratePerLead: 0.01 }] });
+    assert.equal(quote(1000).amount, 1000);
+
+    process.env.PRICING_CONFIG = '{not json';
+    assert.equal(quote(1000).amount, 500);
+});
+
+test('formats cents as dollars', () => {
+    assert.equal(formatAmount(250), '$2.50');
+    assert.equal(formatAmount(25000), '$250.00');
+});
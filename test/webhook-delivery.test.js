@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { openBatchedDelivery } = require('../lib/webhook-delivery');
+const { verifySignature } = require('../lib/webhook-signature');
+
+const SECRET = 'test-webhook-secret';
+
+// Per-batch progress logs are noise here
+test.mock.method(console, 'log', () => {});
+
+/**
+ * Local receiver that records every envelope it accepts. `respond(envelope)` can return
+ * a status code to reject a request.
+ */
+async function startReceiver(t, respond = () => 200) {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const rawBody = Buffer.concat(chunks);
+            verifySignature(rawBody, req.headers, SECRET);
+
+            const envelope = JSON.parse(rawBody);
+            const status = respond(envelope);
+            if (status === 200) {
+                received.push(envelope);
+            }
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end('{}');
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+
+    return { url: `http://127.0.0.1:${server.address().port}/webhook`, received };
+}
+
+function leads(count) {
+    return Array.from({ length: count }, (_, i) => ({ id: i + 1 }));
+}
+
+test('posts sequenced batches followed by a complete envelope', async (t) => {
+    const receiver = await startReceiver(t);
+    const sent = [];
+    const delivery = openBatchedDelivery(receiver.url, { runId: 'run_1' }, {
+        batchSize: 2,
+        deliveryId: 'delivery_1',
+        secret: SECRET,
+        itemCount: 5,
+        onBatchSent: index => sent.push(index)
+    });
+
+    await delivery.add(leads(3));
+    await delivery.add(leads(2));
+    const result = await delivery.finish({ runId: 'run_1', final: true });
+
+    assert.deepEqual(receiver.received.map(envelope => [envelope.type, envelope.batchIndex, envelope.batchCount, envelope.data.length]), [
+        ['batch', 0, 3, 2],
+        ['batch', 1, 3, 2],
+        ['batch', 2, 3, 1],
+        ['complete', undefined, 3, 0]
+    ]);
+    assert.ok(receiver.received.every(envelope => envelope.deliveryId === 'delivery_1'));
+    assert.deepEqual(receiver.received[0].metadata, { runId: 'run_1' });
+
+    const complete = receiver.received[3];
+    assert.equal(complete.totalRecords, 5);
+    assert.deepEqual(complete.metadata, { runId: 'run_1', final: true });
+
+    assert.deepEqual(sent, [0, 1, 2]);
+    assert.equal(result.batchCount, 3);
+    assert.equal(result.totalRecords, 5);
+});
+
+test('leaves batchCount null on batches when the item count is unknown', async (t) => {
+    const receiver = await startReceiver(t);
+    const delivery = openBatchedDelivery(receiver.url, {}, { batchSize: 2, secret: SECRET });
+
+    await delivery.add(leads(3));
+    await delivery.finish();
+
+    assert.deepEqual(receiver.received.map(envelope => envelope.batchCount), [null, null, 2]);
+    assert.match(receiver.received[0].deliveryId, /^[0-9a-f-]{36}$/);
+});
+
+test('resumes at startBatch without resending accepted batches', async (t) => {
+    const receiver = await startReceiver(t);
+    const sent = [];
+    const delivery = openBatchedDelivery(receiver.url, {}, {
+        batchSize: 2,
+        deliveryId: 'delivery_resume',
+        secret: SECRET,
+        itemCount: 5,
+        startBatch: 2,
+        onBatchSent: index => sent.push(index)
+    });
+
+    await delivery.add(leads(5));
+    await delivery.finish();
+
+    assert.deepEqual(receiver.received.map(envelope => [envelope.type, envelope.batchIndex]), [
+        ['batch', 2],
+        ['complete', undefined]
+    ]);
+    // The complete envelope still describes the whole delivery
+    assert.equal(receiver.received[1].batchCount, 3);
+    assert.equal(receiver.received[1].totalRecords, 5);
+    assert.deepEqual(sent, [2]);
+});
+
+test('fails the delivery when a batch is rejected', async (t) => {
+    const receiver = await startReceiver(t, envelope => (envelope.batchIndex === 1 ? 500 : 200));
+    const delivery = openBatchedDelivery(receiver.url, {}, { batchSize: 1, secret: SECRET });
+
+    await assert.rejects(delivery.add(leads(3)), error => error.response?.status === 500);
+    assert.equal(receiver.received.length, 1);
+});
+
+test('a 409 on complete means the delivery has to start over', async (t) => {
+    const receiver = await startReceiver(t, envelope => (envelope.type === 'complete' ? 409 : 200));
+    const delivery = openBatchedDelivery(receiver.url, {}, { batchSize: 2, secret: SECRET });
+
+    await delivery.add(leads(2));
+    await assert.rejects(delivery.finish(), error => error.code === 'DELIVERY_INCOMPLETE');
+});
@@ -4,6 +4,10 @@ const path = require('path');
 
 // Load centralized configuration
 const { CONFIG, getConfigStatus } = require('./config.js');
+const { expressGuard } = require('./lib/api-guard');
+const { verifySignature, createReplayGuard } = require('./lib/webhook-signature');
+const { applyFieldMapping, mappedFieldNames } = require('./lib/field-mapping');
+const { filterByQuality, scoreHistogram, parseQualityFilter } = require('./lib/lead-quality');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -20,15 +24,119 @@ if (configStatus.isConfigured) {
     configStatus.errors.forEach(error => console.warn(error));
 }
 
-// Middleware to parse JSON
-app.use(express.json({ limit: '50mb' }));
+// Middleware to parse JSON, keeping the raw body for signature checks
+app.use(express.json({
+    limit: '50mb',
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
+
+// Reject webhooks that are unsigned, tampered with, stale or replayed (when WEBHOOK_SECRET is set)
+const webhookSecret = CONFIG.WEBHOOK_SECRET || process.env.WEBHOOK_SECRET;
+const replayGuard = createReplayGuard();
+
+function requireSignature(req, res, next) {
+    if (!webhookSecret) {
+        return next();
+    }
+
+    try {
+        verifySignature(req.rawBody || '', req.headers, webhookSecret, { replayGuard });
+        next();
+    } catch (error) {
+        console.warn(`🚫 Rejected webhook: ${error.message}`);
+        res.status(401).json({ error: error.message, code: error.code });
+    }
+}
+
+if (!webhookSecret) {
+    console.warn('⚠️ WEBHOOK_SECRET is not set - incoming webhooks are not verified');
+}
+
+// CSV columns for raw deliveries - EXPORT_FIELD_MAPPING (JSON, see lib/field-mapping.js) or these defaults
+const DEFAULT_EXPORT_MAPPING = {
+    fields: [
+        'name', 'email', 'title', 'organization_name', 'linkedin_url',
+        'city', 'state', 'country',
+        { name: 'phone', path: ['normalized.phone', 'phone_numbers[0].sanitized_number', 'phone'] },
+        'email_status'
+    ]
+};
+const exportMapping = process.env.EXPORT_FIELD_MAPPING ? JSON.parse(process.env.EXPORT_FIELD_MAPPING) : DEFAULT_EXPORT_MAPPING;
+console.log(`📊 CSV columns: ${mappedFieldNames(exportMapping).join(', ')}`);
+
+// Leads to act on (CRM, outreach) - ACCEPTED_EMAIL_STATUSES (comma separated, empty for any) and MIN_QUALITY_SCORE
+const qualityFilter = parseQualityFilter({
+    emailStatuses: process.env.ACCEPTED_EMAIL_STATUSES ?? 'verified',
+    minScore: process.env.MIN_QUALITY_SCORE
+}) || { emailStatuses: [], minScore: 0 };
+
+// Batched deliveries waiting for their "complete" message, by deliveryId
+const pendingDeliveries = new Map();
+const PENDING_DELIVERY_TTL = 60 * 60 * 1000;
+
+// Keep one batch of a delivery until the whole delivery has arrived
+function storeBatch({ deliveryId, batchIndex, batchCount, data }) {
+    const now = Date.now();
+    for (const [id, delivery] of pendingDeliveries) {
+        if (now - delivery.receivedAt > PENDING_DELIVERY_TTL) {
+            pendingDeliveries.delete(id);
+        }
+    }
 
-// Webhook endpoint to receive Apollo data
-app.post('/webhook/apollo-data', (req, res) => {
+    const delivery = pendingDeliveries.get(deliveryId) || { batches: new Map(), receivedAt: now };
+    delivery.batches.set(batchIndex, data);
+    pendingDeliveries.set(deliveryId, delivery);
+
+    // batchCount is null when leads are filtered while streaming - "complete" always has it
+    console.log(`📦 Delivery ${deliveryId}: batch ${batchIndex + 1}${batchCount ? `/${batchCount}` : ''} (${data.length} leads)`);
+}
+
+// Reassemble a delivery in batch order. Returns null if any batch is missing.
+function assembleDelivery(deliveryId, batchCount) {
+    const delivery = pendingDeliveries.get(deliveryId) || { batches: new Map() };
+    const data = [];
+    for (let batchIndex = 0; batchIndex < batchCount; batchIndex++) {
+        if (!delivery.batches.has(batchIndex)) {
+            return null;
+        }
+        data.push(...delivery.batches.get(batchIndex));
+    }
+
+    pendingDeliveries.delete(deliveryId);
+    return data;
+}
+
+// Webhook endpoint to receive Apollo data - single payloads or sequenced batches
+app.post('/webhook/apollo-data', expressGuard({ name: 'apollo-data', methods: ['POST'], limit: 300 }), requireSignature, (req, res) => {
     try {
         console.log('🔗 Webhook received at:', new Date().toISOString());
         
-        const { data, metadata } = req.body;
+        const { type, deliveryId, batchIndex, batchCount, metadata } = req.body;
+        let { data } = req.body;
+        
+        if (type === 'batch') {
+            storeBatch({ deliveryId, batchIndex, batchCount, data });
+            return res.status(200).json({
+                success: true,
+                deliveryId: deliveryId,
+                batchIndex: batchIndex,
+                recordsReceived: data.length
+            });
+        }
+        
+        if (type === 'complete') {
+            data = assembleDelivery(deliveryId, batchCount);
+            if (data === null) {
+                console.log(`❌ Delivery ${deliveryId} is missing batches`);
+                return res.status(409).json({
+                    success: false,
+                    error: 'Delivery is missing batches',
+                    deliveryId: deliveryId
+                });
+            }
+        }
         
         console.log('📊 Metadata:', metadata);
         console.log(`📋 Received ${data.length} leads`);
@@ -95,17 +203,20 @@ app.get('/health', (req, res) => {
 function processApolloData(data, metadata) {
     console.log('🔄 Processing Apollo data...');
     
-    // Example processing: Extract emails
-    const emails = data
-        .filter(lead => lead.email && lead.email_status === 'verified')
+    // Quality scores as sent by the actor, or scored here for older deliveries
+    console.log('📊 Quality scores:', metadata.qualityHistogram || scoreHistogram(data));
+    
+    // Example processing: Extract emails of leads that pass the quality filter
+    const emails = filterByQuality(data.filter(lead => lead.email), qualityFilter).leads
         .map(lead => ({
             email: lead.email,
             name: lead.name,
             title: lead.title,
-            company: lead.organization_name
+            company: lead.organization_name,
+            score: lead.quality?.score
         }));
     
-    console.log(`📧 Found ${emails.length} verified emails`);
+    console.log(`📧 Found ${emails.length} emails with status ${qualityFilter.emailStatuses.join('/') || 'any'} and score ${qualityFilter.minScore}+`);
     
     // Example processing: Group by company
     const companyCounts = {};
@@ -160,7 +271,7 @@ function saveDataToFile(data, metadata) {
         
         // Also save a CSV version for easy viewing
         if (data.length > 0) {
-            saveToCsv(data, timestamp);
+            saveToCsv(data, timestamp, metadata);
         }
         
     } catch (error) {
@@ -168,28 +279,28 @@ function saveDataToFile(data, metadata) {
     }
 }
 
-// Save data to CSV format
-function saveToCsv(data, timestamp) {
+// Save data to CSV format. Deliveries the actor already mapped keep their columns;
+// raw deliveries go through the export mapping.
+function saveToCsv(data, timestamp, metadata = {}) {
     try {
         const csvFileName = `apollo-data-${timestamp}.csv`;
         const csvFilePath = path.join(__dirname, 'data', csvFileName);
         
+        const mapping = metadata.fieldMapping || exportMapping;
+        const rows = metadata.fieldMapping ? data : applyFieldMapping(data, exportMapping);
+        
         // Define CSV headers
-        const headers = [
-            'name', 'email', 'title', 'organization_name', 'linkedin_url',
-            'city', 'state', 'country', 'phone', 'email_status'
-        ];
+        const headers = mappedFieldNames(mapping);
         
         // Create CSV content
         let csvContent = headers.join(',') + '\n';
         
-        data.forEach(lead => {
+        rows.forEach(lead => {
             const row = headers.map(header => {
-                let value = lead[header] || '';
+                let value = lead[header] ?? '';
                 
-                // Handle phone numbers
-                if (header === 'phone' && lead.phone_numbers && lead.phone_numbers.length > 0) {
-                    value = lead.phone_numbers[0].sanitized_number || '';
+                if (typeof value === 'object') {
+                    value = JSON.stringify(value);
                 }
                 
                 // Escape commas and quotes in CSV
@@ -1,5 +1,7 @@
 const axios = require('axios');
 const { CONFIG } = require('./config.js');
+const { readDatasetPages, countDatasetItems } = require('./lib/dataset-reader');
+const { DELIVERY_RESULT, resolveDestinations, streamToDestinations } = require('./lib/destinations');
 
 /**
  * Webhook Sender - Retrieves data from an Apify run and sends it to webhook
@@ -42,72 +44,47 @@ async function sendDataToWebhook(runId) {
 
         console.log(`🔍 Retrieving data from dataset: ${datasetId}`);
 
-        // Get data from dataset
-        const datasetUrl = `https://api.apify.com/v2/datasets/${datasetId}/items?token=${CONFIG.APIFY_TOKEN}`;
-        console.log(`📡 Fetching data from: ${datasetUrl}`);
-        
-        const datasetResponse = await axios.get(datasetUrl);
-        const scrapedData = datasetResponse.data;
-
-        console.log(`📦 Retrieved ${scrapedData.length} items from dataset`);
+        const itemCount = await countDatasetItems(datasetId, { token: CONFIG.APIFY_TOKEN });
+        console.log(`📦 Dataset has ${itemCount} items`);
 
-        if (scrapedData.length === 0) {
+        if (itemCount === 0) {
             console.log('⚠️ No data found in dataset');
             return;
         }
 
-        // Prepare webhook payload
-        const payload = {
-            data: scrapedData,
-            metadata: {
-                success: true,
-                message: 'Data retrieved and sent successfully',
-                totalRecords: scrapedData.length,
-                runId: runId,
-                datasetId: datasetId,
-                timestamp: new Date().toISOString(),
-                configuredWebhookUrl: CONFIG.WEBHOOK_URL,
-                retrievedAt: new Date().toISOString(),
-                runFinishedAt: runData.finishedAt,
-                runStartedAt: runData.startedAt
-            }
+        const metadata = {
+            success: true,
+            message: 'Data retrieved and sent successfully',
+            totalRecords: itemCount,
+            runId: runId,
+            datasetId: datasetId,
+            timestamp: new Date().toISOString(),
+            configuredWebhookUrl: CONFIG.WEBHOOK_URL,
+            retrievedAt: new Date().toISOString(),
+            runFinishedAt: runData.finishedAt,
+            runStartedAt: runData.startedAt
         };
 
-        // Send to webhook as a single payload
-        console.log(`📤 Sending ${scrapedData.length} leads to webhook...`);
-        console.log(`📊 Payload size: ${JSON.stringify(payload).length} characters`);
+        // Stream the dataset page by page to every configured destination in sequenced batches
+        const destinations = resolveDestinations(CONFIG.DESTINATIONS, { url: CONFIG.WEBHOOK_URL, secret: CONFIG.WEBHOOK_SECRET });
+        console.log(`📤 Sending ${itemCount} leads to ${destinations.length} destination(s)...`);
 
-        try {
-            console.log(`📤 Sending all data in single request...`);
-            
-            const webhookResponse = await axios.post(CONFIG.WEBHOOK_URL, payload, {
-                headers: {
-                    'Content-Type': 'application/json',
-                    'User-Agent': 'Apify-Apollo-Webhook-Sender/1.0'
-                },
-                timeout: 60000, // 60 second timeout for large payload
-                maxContentLength: Infinity,
-                maxBodyLength: Infinity
-            });
+        const results = await streamToDestinations(destinations, readDatasetPages(datasetId, { token: CONFIG.APIFY_TOKEN }), metadata, {
+            userAgent: 'Apify-Apollo-Webhook-Sender/1.0',
+            itemCount
+        });
 
-            console.log(`✅ Webhook response: ${webhookResponse.status} ${webhookResponse.statusText}`);
-            console.log(`🎉 Successfully sent ${scrapedData.length} leads to webhook!`);
-            
-            if (webhookResponse.data) {
-                console.log(`📋 Webhook response data:`, webhookResponse.data);
+        results.forEach(result => {
+            if (result.status === DELIVERY_RESULT.DELIVERED) {
+                console.log(`🎉 [${result.name}] Successfully sent ${result.records} leads`);
+            } else {
+                console.error(`❌ [${result.name}] Failed to send data: ${result.error}`);
             }
-            
-        } catch (webhookError) {
-            console.error(`❌ Failed to send data to webhook:`, webhookError.message);
-            
-            if (webhookError.response) {
-                console.error(`❌ HTTP Error: ${webhookError.response.status} - ${webhookError.response.statusText}`);
-                if (webhookError.response.data) {
-                    console.error('❌ Response data:', webhookError.response.data);
-                }
-            }
-            
-            throw webhookError;
+        });
+
+        const failed = results.filter(result => result.status === DELIVERY_RESULT.FAILED);
+        if (failed.length > 0) {
+            throw new Error(`Delivery failed for ${failed.map(result => result.name).join(', ')}`);
         }
 
     } catch (error) {